@@ -11,7 +11,12 @@
  * License      MIT - http://datatables.net/license/mit
  *
  * Monitor the AJAX data source every N seconds, comparing the current data structure and the data structure just pulled. If the DataTables setting rowId is _not_ specified and there is no DT_RowId key, then the entire table will be reloaded whenever any changes are detected. If rowId _is_ specified or a DT_RowId key exists, then liveAjax will update only the necessary rows, this is more resourceful than the former option, especially on massively large data structures, where serverSide should be used, but isn't.
- * All of the DataTables AJAX settings are compatible with this plugin (ajax.type, ajax.data, ajax.dataSrc, ajax.url)
+ * All of the DataTables AJAX settings are compatible with this plugin (ajax.type, ajax.data, ajax.dataSrc, ajax.url). The
+ * ajax.dataSrc is resolved the same way DataTables does (a property, nested property, empty string or function), and the
+ * rows it points to can be an array, or an object of rows keyed by their id (which are diffed by those keys).
+ * Server-side processing tables are supported too; the paging, ordering and searching parameters of the current draw are
+ * sent with each request, only the rows on the current page are compared, and the record counts (info and paging controls)
+ * are updated without the user being sent to another page.
  * Some of the functions used below are taken directly from the jquery.dataTables.js file, to ensure compatability.
  *
  * -------------
@@ -48,11 +53,30 @@
  *      Default:            false
  *      Description:        Enable/Disable the ResetPaging when table is redrawn
  *
+ * liveAjax.beforeUpdate
+ *      Required:           false
+ *      Type:               function
+ *      Parameters:         updates (Object), response (JSON), xhr (Object)
+ *      Description:        Callback fired with the changes before they're applied, after the beforeUpdate.liveAjax
+ *                          event. Returning false vetoes them; the next update is compared to the same rows again, so
+ *                          it fires with the same changes (plus any new ones) on every update until they're let
+ *                          through, and changes held by liveAjax.manualApply stay held. Rows can be dropped from the
+ *                          create, update and delete elements (their changes come up again with the next update, unless
+ *                          the updates are deltas), the row data can be changed in place (the handlers get copies of
+ *                          the rows, so the next update is still compared to the rows as the server sent them, except
+ *                          for server-side processing tables, which compare the page to the rows in the table), or a
+ *                          new change set can be returned. The updates are null when rows without a key are replaced as
+ *                          a whole, which can only be vetoed
+ *      Example:            liveAjax: { beforeUpdate: function( updates ){ delete updates.update[ lockedId ]; } }
+ *
  * liveAjax.onUpdate
  *      Required:           false
  *      Type:               function
  *      Parameters:         dtSettings (Object), data|jqXHR (Object), textStatus (String), jqXHR|errorThrown (Object|String)
- *      Description:        Callback fired after XHR is completed and the table has been updated with new data
+ *      Description:        Callback fired after XHR is completed and the table has been updated with new data. The
+ *                          updates hold the rows created (create), the rowIds deleted (delete), the rows updated
+ *                          (update, by rowId) and for each updated row, its previous data and the paths of the
+ *                          fields that changed (changes, by rowId - eg: { previous: {...}, fields: ['age', 'address.city'] })
  *
  * liveAjax.noUpdate
  *      Required:           false
@@ -67,6 +91,418 @@
  *      Description:        Array of XHR statuses to abort the loop when encountered. Possible statuses are
  *                          success, notmodified, nocontent, error, timeout, abort, parsererror
  *
+ * liveAjax.autoPause
+ *      Required:           false
+ *      Type:               boolean|object
+ *      Default:            false
+ *      Description:        Pause the updates while the user interacts with the table; true for all triggers, or an
+ *                          object enabling some of them: focus (an input or contenteditable within the table has
+ *                          focus), selection (text within the table is selected) and pointer (the pointer is pressed
+ *                          on the table). Anything that arrives during the interaction is applied as soon as it ends
+ *      Example:            liveAjax: { autoPause: { focus: true, pointer: true } }
+ *
+ * liveAjax.preserveState
+ *      Required:           false
+ *      Type:               boolean
+ *      Default:            false
+ *      Description:        Restore the selected rows (Select extension), shown child rows, focused cell/input and
+ *                          the scroll position of scrolling tables after each update. Rows are matched by their
+ *                          rowKey (or rowId), or by a hash of their content when there is neither
+ *
+ * liveAjax.rowKey
+ *      Required:           false
+ *      Type:               string|number|array|function
+ *      Default:            null (the rowId)
+ *      Description:        What the rows are diffed and located by, when that differs from the rowId. A property
+ *                          (which can be nested, eg: 'meta.id'), a column index for rows that are arrays, an
+ *                          array of those making up a composite key (the key in the updates being the JSON of
+ *                          their values, eg: '["acme","X-100"]') or a function handed the row data, returning its
+ *                          key. If any row is missing its key, a warning is logged and the rows are compared as
+ *                          a whole
+ *      Example:            liveAjax: { rowKey: [ 'tenant', 'sku' ] }
+ *
+ * liveAjax.hashRows
+ *      Required:           false
+ *      Type:               boolean
+ *      Default:            false
+ *      Description:        For rows without a rowId or rowKey, identify the rows by a hash of their content, so
+ *                          only the rows that are gone get removed and only the new ones get added (rather than
+ *                          replacing all of the rows). Identical rows are counted, so duplicates are handled. A
+ *                          changed row shows up in the updates as deleted (by its hash) and created
+ *
+ * liveAjax.worker
+ *      Required:           false
+ *      Type:               boolean
+ *      Default:            false
+ *      Description:        Hash and compare the rows in a Web Worker, rather than on the main thread, which keeps
+ *                          the page responsive with very large data sets. Falls back to the main thread if workers
+ *                          aren't available (or the rows can't be posted to one). Either way, each row is only
+ *                          hashed once, and the hashes are kept for the next update to be compared to. The time
+ *                          the last diff took is kept in dtSettings.liveAjax.lastDiffDuration (see
+ *                          examples/benchmark.html)
+ *
+ * liveAjax.ignoreFields
+ *      Required:           false
+ *      Type:               array
+ *      Default:            []
+ *      Description:        Paths of the fields to leave out when comparing the rows (eg: 'lastSeen', or nested
+ *                          like 'stats.hits', or a column index for rows that are arrays). Rows that only differ in
+ *                          these aren't updated, and the fields aren't listed in the changed fields of the rows
+ *                          that are. Doesn't apply to delta responses, which hold the changes the server found
+ *      Example:            liveAjax: { ignoreFields: [ 'lastSeen', 'stats.hits' ] }
+ *
+ * liveAjax.compare
+ *      Required:           false
+ *      Type:               function|object
+ *      Default:            null
+ *      Description:        Decide whether a changed row (or field) really changed. A function is handed the
+ *                          previous and new row data and the paths of the fields that differ, and returns true if
+ *                          the rows are the same. An object holds a function per field (by its path), handed the
+ *                          previous and new value (and the rows), returning true if they're the same. Only the rows
+ *                          whose content changed are compared, and the rows considered the same keep the data the
+ *                          table has, so the next update is compared to that
+ *      Example:            liveAjax: { compare: { name: function( a, b ){ return a.toLowerCase() === b.toLowerCase(); } } }
+ *
+ * liveAjax.tolerance
+ *      Required:           false
+ *      Type:               number|object
+ *      Default:            0
+ *      Description:        How much numeric fields may differ before they count as changed; for every numeric field,
+ *                          or an object of tolerances by the path of the field. A row (or field) compare function
+ *                          takes precedence
+ *      Example:            liveAjax: { tolerance: { price: 0.01, 'stats.load': 5 } }
+ *
+ * liveAjax.drawMode
+ *      Required:           false
+ *      Type:               string
+ *      Default:            full
+ *      Description:        How the table is redrawn after an update. 'full' re-sorts and re-filters the rows,
+ *                          'page' just redraws the current page with the rows where they are (for when only
+ *                          columns that aren't sorted or searched on change; a full redraw is still done when rows
+ *                          are created), and 'none' doesn't redraw at all, leaving it to the caller (the cells of
+ *                          updated rows that are drawn still show the new data)
+ *      Example:            liveAjax: { drawMode: 'page' }
+ *
+ * liveAjax.chunkSize
+ *      Required:           false
+ *      Type:               number|integer
+ *      Default:            0
+ *      Description:        The changes are applied to the table in an animation frame, with the updated rows
+ *                          being re-read all at once. For very large change sets, this is the number of rows to
+ *                          change per frame, spreading them over several frames (0 changes all of them in one).
+ *                          The onUpdate callback/event fires, and the table is redrawn, once all of them are in
+ *      Example:            liveAjax: { chunkSize: 2000 }
+ *
+ * liveAjax.manualApply
+ *      Required:           false
+ *      Type:               boolean
+ *      Default:            false
+ *      Description:        Hold on to the changes rather than applying them, so rows don't move under the user,
+ *                          firing the pending.liveAjax event with the number of rows they would create, update and
+ *                          delete. Each update is diffed against the rows in the table, so it includes the changes
+ *                          held before it. The changes are applied by liveAjax.applyPending()
+ *      Example:            liveAjax: { manualApply: true, pendingBanner: true }
+ *
+ * liveAjax.pendingBanner
+ *      Required:           false
+ *      Type:               boolean
+ *      Default:            false
+ *      Description:        Show a banner above the table while changes are held (liveAjax.manualApply), which
+ *                          applies them when clicked. Styled by dataTables.liveAjax.css (the liveAjax-pending class)
+ *
+ * liveAjax.pendingText
+ *      Required:           false
+ *      Type:               string
+ *      Default:            _TOTAL_ changes available - click to apply
+ *      Description:        Text of the banner; _TOTAL_, _CREATE_, _UPDATE_ and _DELETE_ are replaced with the
+ *                          number of rows
+ *      Example:            liveAjax: { pendingText: '_CREATE_ new, _UPDATE_ changed - click to show' }
+ *
+ * liveAjax.highlight
+ *      Required:           false
+ *      Type:               boolean|string
+ *      Default:            false
+ *      Description:        Highlight the created and updated rows; 'flash' or 'fade' (true). The classes are added
+ *                          when the rows get drawn, so rows on other pages are still highlighted when paged to.
+ *                          Requires the styles from dataTables.liveAjax.css (or your own)
+ *
+ * liveAjax.highlightDuration
+ *      Required:           false
+ *      Type:               number|integer
+ *      Default:            3000
+ *      Description:        Milliseconds the highlight classes stay on the rows
+ *
+ * liveAjax.highlightClasses
+ *      Required:           false
+ *      Type:               object
+ *      Default:            { created: 'liveAjax-created', updated: 'liveAjax-updated', deleted: 'liveAjax-deleted' }
+ *      Description:        Classes added to the created, updated and (fading out) deleted rows
+ *
+ * liveAjax.fadeOutDeleted
+ *      Required:           false
+ *      Type:               number|integer
+ *      Default:            0
+ *      Description:        Milliseconds to fade deleted rows out for before removing them (0 removes them right away)
+ *
+ * liveAjax.whenHidden
+ *      Required:           false
+ *      Type:               boolean|string
+ *      Default:            false
+ *      Description:        What to do while the page is hidden (document.hidden); 'pause' the updates, or 'slow'
+ *                          them down to liveAjax.slowInterval. An update is done right away once it's visible again
+ *
+ * liveAjax.whenOffline
+ *      Required:           false
+ *      Type:               boolean|string
+ *      Default:            false
+ *      Description:        What to do while the browser is offline (navigator.onLine); 'pause' the updates, rather
+ *                          than the failed requests ending the polling (per liveAjax.abortOn), doing an update right
+ *                          away once back online (and without the Ajax error alerts of the failed requests). False
+ *                          leaves it to liveAjax.abortOn, starting the polling again once back online if it ended
+ *                          meanwhile. Either way, offline.liveAjax and online.liveAjax are fired, and the table is
+ *                          flagged as stale (the liveAjax-stale class) until it's brought up to date (or nothing is
+ *                          going to, the updates being paused or stopped)
+ *
+ * liveAjax.persist
+ *      Required:           false
+ *      Type:               boolean|string
+ *      Default:            false
+ *      Description:        Persist the JSON the table was last updated with, to show it right away the next time
+ *                          the page is loaded; while the initial load is in progress, the table shows the rows of
+ *                          the snapshot (flagged as stale), and once its done, the changes since are applied like
+ *                          any update. 'indexedDB' or 'localStorage' (true being IndexedDB, or localStorage where
+ *                          there's no IndexedDB). Not available for server-side processing tables
+ *      Example:            liveAjax: { persist: true, persistTTL: 3600000 }
+ *
+ * liveAjax.persistKey
+ *      Required:           false
+ *      Type:               string
+ *      Default:            The path of the page and the table id
+ *      Description:        Key the snapshot is persisted under (liveAjax.persist)
+ *
+ * liveAjax.persistMaxSize
+ *      Required:           false
+ *      Type:               number|integer
+ *      Default:            1048576
+ *      Description:        Largest JSON to persist, in characters (liveAjax.persist); the snapshot is removed when
+ *                          the JSON grows past it, rather than showing outdated data next time. The size is estimated
+ *                          from a few of the rows first, so JSON well past it isn't serialized at all
+ *
+ * liveAjax.persistTTL
+ *      Required:           false
+ *      Type:               number|integer
+ *      Default:            86400000
+ *      Description:        Milliseconds a snapshot is shown for (liveAjax.persist), after which its discarded
+ *
+ * liveAjax.idleAfter
+ *      Required:           false
+ *      Type:               number|integer
+ *      Default:            0
+ *      Description:        Milliseconds without any user input after which the user is considered idle (0 to never)
+ *
+ * liveAjax.whenIdle
+ *      Required:           false
+ *      Type:               string
+ *      Default:            pause
+ *      Description:        What to do while the user is idle; 'pause' the updates, or 'slow' them down to
+ *                          liveAjax.slowInterval. An update is done right away once there's user input again
+ *
+ * liveAjax.slowInterval
+ *      Required:           false
+ *      Type:               number|integer
+ *      Default:            60000
+ *      Description:        Milleseconds for the update interval while slowed down
+ *
+ * liveAjax.adaptive
+ *      Required:           false
+ *      Type:               boolean
+ *      Default:            false
+ *      Description:        Adapt the update interval to how often the data changes; it's divided by
+ *                          liveAjax.adaptiveFactor after each response with changes (down to liveAjax.minInterval),
+ *                          and multiplied by it after liveAjax.slowDownAfter responses in a row without any (up to
+ *                          liveAjax.maxInterval). An interval the server asks for (liveAjax.intervalField, or the
+ *                          X-Poll-Interval or Retry-After header) is used as is, and retries don't come any sooner
+ *                          than the Retry-After header says. Each change fires setInterval.liveAjax with the reason
+ *                          (updates, noUpdate or server)
+ *      Example:            liveAjax: { adaptive: true, maxInterval: 120000 }
+ *
+ * liveAjax.minInterval
+ *      Required:           false
+ *      Type:               number|integer
+ *      Default:            1500
+ *      Description:        Shortest interval (in milliseconds) to adapt to (no shorter than 1500)
+ *
+ * liveAjax.maxInterval
+ *      Required:           false
+ *      Type:               number|integer
+ *      Default:            60000
+ *      Description:        Longest interval (in milliseconds) to adapt to
+ *
+ * liveAjax.adaptiveFactor
+ *      Required:           false
+ *      Type:               number
+ *      Default:            2
+ *      Description:        What the interval is divided by when there are changes, and multiplied by when there aren't
+ *
+ * liveAjax.slowDownAfter
+ *      Required:           false
+ *      Type:               number|integer
+ *      Default:            3
+ *      Description:        Responses in a row without any changes before the interval is lengthened
+ *
+ * liveAjax.intervalField
+ *      Required:           false
+ *      Type:               string
+ *      Default:            pollInterval
+ *      Description:        JSON field holding the interval (in milliseconds) the server wants to be polled at (an
+ *                          empty string to ignore it). The X-Poll-Interval and Retry-After headers are in seconds
+ *                          (or an HTTP date for Retry-After)
+ *
+ * liveAjax.retryAttempts
+ *      Required:           false
+ *      Type:               number|integer
+ *      Default:            0
+ *      Description:        Times to retry (with exponential backoff) after one of the liveAjax.abortOn statuses
+ *                          was encountered, before giving up and ending the loop. The normal interval is used
+ *                          again after the first successful request
+ *
+ * liveAjax.retryDelay
+ *      Required:           false
+ *      Type:               number|integer
+ *      Default:            2000
+ *      Description:        Milliseconds to back off for before the first retry, doubling with each retry after that
+ *
+ * liveAjax.retryMaxDelay
+ *      Required:           false
+ *      Type:               number|integer
+ *      Default:            60000
+ *      Description:        Maximum milliseconds to back off for before a retry
+ *
+ * liveAjax.retryJitter
+ *      Required:           false
+ *      Type:               number
+ *      Default:            0.5
+ *      Description:        Portion (0 to 1) of each backoff delay that may randomly be taken off
+ *
+ * liveAjax.ifModified
+ *      Required:           false
+ *      Type:               boolean
+ *      Default:            false
+ *      Description:        Remember the ETag and Last-Modified headers of each response, and send them back as
+ *                          If-None-Match and If-Modified-Since. A 304 Not Modified response is treated as "no
+ *                          change" (firing noUpdate without parsing or diffing anything), and never counts as
+ *                          one of the liveAjax.abortOn statuses
+ *
+ * liveAjax.delta
+ *      Required:           false
+ *      Type:               boolean
+ *      Default:            false
+ *      Description:        Send the last seen version of the data set with each request (as liveAjax.versionParam),
+ *                          and accept responses shaped like {version, create:[], update:[], delete:[]} holding
+ *                          only the changes since then. Requires the rowId (or rowKey) setting. Full snapshots are still
+ *                          accepted (and diffed), so the server can re-sync whenever it wants
+ *
+ * liveAjax.versionField
+ *      Required:           false
+ *      Type:               string
+ *      Default:            version
+ *      Description:        JSON field holding the version (or cursor) of the data set
+ *
+ * liveAjax.versionParam
+ *      Required:           false
+ *      Type:               string
+ *      Default:            since
+ *      Description:        Name of the parameter the last seen version is sent as
+ *
+ * liveAjax.transport
+ *      Required:           false
+ *      Type:               string
+ *      Default:            poll
+ *      Description:        How updates are retrieved; 'poll' polls the AJAX source every interval, 'sse' and
+ *                          'websocket' open an EventSource or WebSocket and process each JSON message pushed
+ *                          through it just like a polled response. If the push channel can't be opened,
+ *                          liveAjax falls back to polling
+ *
+ * liveAjax.requestWith
+ *      Required:           false
+ *      Type:               string|function
+ *      Default:            ajax
+ *      Description:        How the requests to the AJAX source are made (when the DataTables ajax setting is a URL or
+ *                          an object); 'ajax' uses $.ajax, 'fetch' uses fetch() (with an AbortController to abort it),
+ *                          falling back to $.ajax where there's no fetch(). Anything else (GraphQL, an IPC bridge) can
+ *                          be plugged in as a function, handed the $.ajax style settings of the request (url, type,
+ *                          data, headers, timeout, contentType, and the signal of an AbortController) and the
+ *                          DataTables settings, returning a Promise resolved with { json, status, headers } (the status
+ *                          and headers being optional; a 304 status means Not Modified). A rejection may hold the
+ *                          textStatus (such as timeout or parsererror, otherwise it's error), status and headers. The
+ *                          timeout, liveAjax.abortOn, the xhrErr events and liveAjax.abortXhr() work the same for each.
+ *                          The initial load of the table is still made by DataTables
+ *      Example:            liveAjax: { requestWith: function ( settings ) {
+ *                              return window.bridge.invoke( 'employees', settings.data )
+ *                                  .then( function ( json ) { return { json: json }; } );
+ *                          } }
+ *
+ * liveAjax.callbackTimeout
+ *      Required:           false
+ *      Type:               number
+ *      Default:            30000
+ *      Description:        Milliseconds to wait for a DataTables ajax function (or fnServerData) to respond, before
+ *                          the request times out. Those only respond once they succeed, so without it a request that
+ *                          failed would keep the updates waiting on it. 0 waits for as long as it takes
+ *
+ * liveAjax.pushUrl
+ *      Required:           false
+ *      Type:               string
+ *      Default:            The ajax URL (with ws:// or wss:// for websocket)
+ *      Description:        URL of the EventSource or WebSocket
+ *
+ * liveAjax.reconnectDelay
+ *      Required:           false
+ *      Type:               number|integer
+ *      Default:            3000
+ *      Description:        Milliseconds to wait before re-opening a dropped push channel
+ *
+ * liveAjax.reconnectAttempts
+ *      Required:           false
+ *      Type:               number|integer
+ *      Default:            5
+ *      Description:        Failed attempts to re-open a dropped push channel before falling back to polling
+ *
+ * liveAjax.source
+ *      Required:           false
+ *      Type:               string
+ *      Default:            null
+ *      Description:        Name of a source shared with other tables on the page; one of the tables naming it polls
+ *                          the AJAX source (or opens the push channel) for all of them, handing each response to the
+ *                          others. Each table still reads its own rows from it (ajax.dataSrc), and has its own diff,
+ *                          pause status and callbacks. The tables need to request the same AJAX source. When the table
+ *                          polling for the others leaves (liveAjax.clearTimeout(), or is destroyed), the next one
+ *                          takes over. liveAjax.reload() still requests for the table alone. Not available with
+ *                          liveAjax.delta, or for server-side processing tables
+ *      Example:            liveAjax: { source: 'inventory' }
+ *
+ * liveAjax.shareTabs
+ *      Required:           false
+ *      Type:               boolean|string
+ *      Default:            false
+ *      Description:        Have one tab (the leader) poll the AJAX source for all of the open tabs of the same source,
+ *                          relaying each response to the others (the followers) through a BroadcastChannel (or
+ *                          localStorage, where there isn't any; the followers poll the source themselves for responses
+ *                          over its quota). True shares it with the tabs making the same request (the method, ajax
+ *                          URL and ajax.data), a string with the tabs using the same name. Tables requesting through
+ *                          a function (an ajax function, ajax.data function or fnServerData) need a name, since their
+ *                          requests can't be told apart. When the leader is closed, or goes quiet, one of the
+ *                          followers takes over; an inactive leader (hidden, idle or paused) hands it over to an
+ *                          active follower. Not available for server-side processing tables, or with a push transport
+ *      Example:            liveAjax: { shareTabs: 'employees' }
+ *
+ * liveAjax.tabHeartbeat
+ *      Required:           false
+ *      Type:               number|integer
+ *      Default:            2000
+ *      Description:        Milliseconds between the heartbeats of the leader (liveAjax.shareTabs). The followers take
+ *                          over after 3 heartbeats without hearing from the leader
+ *
  *
  * @example
  *    // Basic setup - Update the whole table when any descrepencies are found
@@ -101,8 +537,10 @@
  *                      console.log('Rows Created:', updates.create.length);
  *                  if ( typeof updates.delete !== 'undefined' )
  *                      console.log('Rows Deleted:', updates.delete.length);
- *                  if ( typeof updates.delete !== 'undefined' )
- *                      console.log('Rows Updated:', Object.keys(updates.delete).length);
+ *                  if ( typeof updates.update !== 'undefined' )
+ *                      $.each( updates.changes, function( rowId, change ){
+ *                          console.log('Row', rowId, 'changed fields:', change.fields.join(', '));
+ *                      });
  *              },
  *              noUpdate: function( json, xhr ){
  *                  console.log('Nothing was updated');
@@ -118,18 +556,19 @@
  * -------------
  *
  * liveAjax.initiate()
- *      Description:        Start the liveAjax update polling (Only starts if not currently running)
+ *      Description:        Start the liveAjax update polling, or open the push channel (Only starts if not currently running)
  *      Parameters:         None
- *      Return:             None
- *      Example:            table.liveAjax.initiate()
+ *      Return:             [Promise] Resolved with the connection state (polling, open or closed) once the updates
+ *                          started; right away when polling, or once the push channel opened (or fell back to polling)
+ *      Example:            table.liveAjax.initiate().then( function ( state ) { console.log( state ); } )
  *
  * liveAjax.abortXhr()
  *      Description:        Abort the current XHR request, (Not the same as liveAjax.destroy()). If
  *                          'abort' is not in the liveAjax.abortOn array, then this will _not_ stop
  *                          the polling
  *      Parameters:         None
- *      Return:             None
- *      Example:            table.liveAjax.abortXhr()
+ *      Return:             [Promise] Resolved once the request ended, with true if there was one in progress
+ *      Example:            await table.liveAjax.abortXhr()
  *
  * liveAjax.destroy()
  *      Description:        Abort the current XHR request (if running), and stop the update polling
@@ -156,11 +595,22 @@
  *      Example:            table.liveAjax.xhrStatus()
  *
  * liveAjax.isPaused()
- *      Description:        Start the liveAjax update polling (Only starts if not currently running)
- *      Parameters:         None
+ *      Description:        Check if the XHR polling is paused, either manually, because the page is hidden, the
+ *                          user is idle or the browser is offline (see liveAjax.whenHidden, liveAjax.whenIdle and
+ *                          liveAjax.whenOffline), or because the user is interacting with the table (see
+ *                          liveAjax.autoPause)
+ *      Parameters:         [String] Only check this reason for being paused: manual, hidden, idle, offline, focus,
+ *                          selection or pointer (Optional)
  *      Return:             [Boolean] True if XHR polling is paused, false if not
  *      Example:            table.liveAjax.isPaused()
  *
+ * liveAjax.isStale()
+ *      Description:        Check if the table shows stale data; the snapshot it was hydrated with (liveAjax.persist),
+ *                          or the last update before the browser went offline
+ *      Parameters:         None
+ *      Return:             [Boolean] True until the table is brought up to date
+ *      Example:            table.liveAjax.isStale()
+ *
  * liveAjax.togglePause()
  *      Description:        Toggle the pause status of XHR polling
  *      Parameters:         None
@@ -171,21 +621,70 @@
  *      Description:        Update the timeout interval between each XHR request
  *      Parameters:         [Integer|Number|Null] Timeout in milliseconds, or Null to set back to
  *                          the initialized value of liveAjax.interval
- *      Return:             None
+ *      Return:             [Promise] Resolved with the new interval
  *      Example:            table.liveAjax.setInterval( 4000 ) // 4 seconds
  *
- * liveAjax.reload()
- *      Description:        Execute an XHR request and update table, if any descrepencies are found. The callbacks executed
- *                          are jqXHR.done(), jqXHR.fail() and jqXHR.always(), this the parameters handed to them are standard.
- *                          See http://api.jquery.com/jquery.ajax/ for more info
- *      Parameters:         [Boolean] Force; [Function] Done/Success Callback; [Function] Fail Callback; [Function] Always Callback
+ * liveAjax.connectionState()
+ *      Description:        Get the state of the liveAjax connection
+ *      Parameters:         None
+ *      Return:             [String] One of: polling, following (another tab or table polls the source), connecting,
+ *                          open, reconnecting, closed
+ *      Example:            table.liveAjax.connectionState()
+ *
+ * liveAjax.tabRole()
+ *      Description:        Get the role of this tab in polling the AJAX source shared with the other tabs
+ *                          (liveAjax.shareTabs)
+ *      Parameters:         None
+ *      Return:             [String|Null] leader or follower, or Null if the polling isn't shared
+ *      Example:            table.liveAjax.tabRole()
+ *
+ * liveAjax.pending()
+ *      Description:        Get the number of rows the changes held by liveAjax.manualApply would create, update
+ *                          and delete
+ *      Parameters:         None
+ *      Return:             [Object|Null] { create, update, delete, total }, or Null if no changes are held
+ *      Example:            table.liveAjax.pending()
+ *
+ * liveAjax.applyPending()
+ *      Description:        Apply the changes held by liveAjax.manualApply
+ *      Parameters:         None
+ *      Return:             None
+ *      Example:            table.liveAjax.applyPending()
+ *
+ * liveAjax.discardPending()
+ *      Description:        Drop the changes held by liveAjax.manualApply. The next updates are compared with the
+ *                          JSON they came from, so only what changed since is held (or applied) again
+ *      Parameters:         None
  *      Return:             None
- *      Example:            table.liveAjax.reload(true, function(data, textStatus, jqXHR){
- *                              console.log('Success! Data:',data);
+ *      Example:            table.liveAjax.discardPending()
+ *
+ * liveAjax.reload()
+ *      Description:        Execute an XHR request and update table, if any descrepencies are found. The Promise is
+ *                          resolved once the response was handled; with changed (if the table was changed), updates
+ *                          (the created/deleted/updated rows) and json, plus pending (the counts, if liveAjax.manualApply
+ *                          held the changes), held (if liveAjax.autoPause held the JSON), vetoed (by liveAjax.beforeUpdate)
+ *                          or stale (if a server-side processing table was redrawn meanwhile). It's rejected with a
+ *                          $.fn.dataTable.LiveAjaxError, whose type is skipped (paused, or a request already in progress,
+ *                          see the reason), xhr (the request failed, see the status), error (handling the response
+ *                          threw, eg: in an onUpdate callback, see the error) or destroyed
+ *      Parameters:         [Object] force (even if paused), resetPaging (when redrawing, rather than liveAjax.resetPaging)
+ *      Return:             [Promise] Resolved with { changed, updates, json }
+ *      Example:            table.liveAjax.reload( { force: true } ).then( function ( result ) {
+ *                              console.log( result.changed ? 'Updated' : 'Nothing changed' );
+ *                          }, function ( err ) {
+ *                              console.log( 'Failed!', err.type, err.reason || err.status );
+ *                          });
+ *
+ *                          The old form, handing the callbacks to jqXHR.done(), jqXHR.fail() and jqXHR.always() (see
+ *                          http://api.jquery.com/jquery.ajax/), still works. A skipped request executes just the always
+ *                          callback, with the jqXHR, 'skipped' and the reason:
+ *
+ *                          table.liveAjax.reload( true, function ( data, textStatus, jqXHR ) {
+ *                              console.log( 'Success! Data:', data );
  *                          }, function ( jqXHR, textStatus, errorThrown ) {
- *                              console.log('Failed!', textStatus);
+ *                              console.log( 'Failed!', textStatus );
  *                          }, function ( data_jqXHR, textStatus, jqXHR_errorThrown ) {
- *                              console.log('I always get executed...');
+ *                              console.log( 'I always get executed...' );
  *                          });
  */
 
@@ -199,6 +698,27 @@
     var XHR_STATE_PROCESSING = 3;
     var XHR_STATE_COMPLETE   = 4;
 
+    /**
+     * Error the Promises returned by the liveAjax API methods are rejected with
+     *
+     * @param {string}  type    What went wrong; skipped (the request wasn't sent, see the reason), xhr (the
+     *                          request failed, see the status), error (handling the response threw, see the
+     *                          error) or destroyed (the table was destroyed first)
+     * @param {string}  message Description of what went wrong
+     * @param {object}  details Properties to add to the error (reason, status, xhr or error)
+     */
+    function LiveAjaxError( type, message, details ) {
+        this.name = 'LiveAjaxError';
+        this.type = type;
+        this.message = message;
+        this.stack = ( new Error( message ) ).stack;
+
+        $.extend( this, details );
+    }
+
+    LiveAjaxError.prototype = Object.create( Error.prototype );
+    LiveAjaxError.prototype.constructor = LiveAjaxError;
+
     // Private Functions
 
     /**
@@ -212,451 +732,3944 @@
     }
 
     /**
-     * Restructure an array of objects into an object of objects that has the value of
-     * the 'key' parameter within each initial object as the object key, making it more
-     * compatible with the DataTables API.
+     * Get a function returning the key of a row, for the liveAjax.rowKey setting (or the rowId);
+     * a property (which can be nested, eg: 'meta.id') or column index for array rows, an array
+     * of those making up a composite key (the key being the JSON of their values, eg:
+     * '["acme","X-100"]'), or a function that's handed the row data and returns its key
      *
-     * @param   {string}    key     The property within the objects that is to be set
-     *                              as the index in the resulting object
-     * @param   {array}    data    Data to restructure
-     * @return  {object} An object with the value of 'key' as the index for each record
+     * @param   {string|number|array|function} rowKey  The liveAjax.rowKey setting
+     * @returns {function}  Function that's handed the row data, and returns its key (or undefined
+     *                      if the row doesn't have one)
      */
-    function _fnKeyStructData( key, data ){
-        var result = {};
+    function _fnRowKeyFn( rowKey ) {
+        var internal = $.fn.dataTable.ext.internal,
+            getters;
 
-        // Ensure values exist (Not important enough to warn
-        if( data.length === 0 ) return {};
+        if ( $.isFunction( rowKey ) )
+            return function ( row ) {
+                var key = rowKey( row );
 
-        // Make sure the top level is an array...
-        if( ! $.isArray(data))
-            throw new Error('Unable to parse data set, not in array format');
+                return key === null ? undefined : key;
+            };
 
-        // .. that contains objects
-        if( ! $.isPlainObject(data[0]))
-            throw new Error('Unable to parse data set, structure needs to be an array of objects');
+        getters = $.map( $.isArray( rowKey ) ? rowKey : [ rowKey ], function ( prop ) {
+            return internal && $.isFunction( internal._fnGetObjectDataFn )
+                ? internal._fnGetObjectDataFn( prop )
+                : function ( row ) { return row[ prop ]; };
+        });
 
-        // Ensure the objects has the necessary key
-        if( typeof data[ 0 ][key] === 'undefined' )
-            throw new Error('Unable to parse data set, key "'+key+'" not found');
+        return function ( row ) {
+            var values = [];
 
-        $.each(data, function(k,v){
-            if(typeof v[ key ] === 'undefined')
-                throw new Error('Unable to parse data set, key "'+key+'" not found at instance # ' + k);
+            if ( row === null || typeof row !== 'object' )
+                return undefined;
 
-            result[ v[ key ] ] = v;
-        });
+            for ( var i = 0; i < getters.length; i++ ) {
+                values.push( getters[ i ]( row ) );
 
-        return result;
+                if ( values[ i ] === undefined || values[ i ] === null )
+                    return undefined;
+            }
+
+            return $.isArray( rowKey )
+                ? JSON.stringify( values )
+                : values[ 0 ];
+        };
     }
 
     /**
-     * Compare two objects of the same structure, getting any "rows" that have been
-     * created/updated/deleted in the 2nd array. Returns an object with two arrays,
-     * one with just the DataTabeles rowId of the rows that need to be deleted (the
-     * 'delete' element), then another array with the complete JSON Data needed for
-     * creating new DataTables rows (The 'create' element).
+     * Get what the diff works with for a set of rows; the rows (as an array), the key of each row
+     * and the hash of each row's content. Each row is stringified (and hashed) just this once, the
+     * result is kept (as liveAjax.diffCache) for the next diff to compare to
      *
-     * @param   {object}    dataA   The _current_ DataTables JSON Table data
-     * @param   {object}    dataB   The _new_ JSON Table data to be compared to
-     * @return  {object}            An object with three elements (delete (array);
-     *                              create (array of objects); update (object of
-     *                              objects))
+     * @param   {object}        dtSettings  DataTables settings object
+     * @param   {array|object}  data        Rows from the JSON (an array, or an object of rows keyed by their id)
+     * @param   {boolean}       byContent   Identify the rows by their content, rather than their key
+     * @param   {boolean}       noHashes    Leave the hashing to the diff worker
+     * @returns {object}        { source, rows, keys, hashes } - keys being null when the rows are
+     *                          identified by their content, hashes being null when not hashed yet
      */
-    function _fnGetChanges(dataA, dataB){
-        var updates = {
-            create: [], // Array of Objects
-            delete: [], // Array of rowIds (Strings)
-            update: {}  // Objects of rows updated
+    function _fnDiffSource( dtSettings, data, byContent, noHashes ) {
+        var source = {
+            source: data,
+            rows: [],
+            keys: byContent ? null : [],
+            hashes: null
         };
 
-        // Diff the two data sets
-        $.each( dataA, function( k, v ){
-            // 1) [DELETED ROWS] If this value _doesn't exist_ in the 2nd data set, then
-            // that means it was deleted
-            if ( typeof dataB[k] === 'undefined' )
-                updates.delete.push( k.toString() ); // Convert to string (rowId needs string)
+        if ( $.isPlainObject( data ) ) {
+            $.each( Object.keys( data ), function ( i, key ) {
+                source.rows.push( data[ key ] );
+                source.keys.push( key );
+            });
+        }
+        else if ( ! $.isArray( data ) ) {
+            throw new Error('Unable to parse data set, not in array format');
+        }
+        else {
+            source.rows = data;
 
-            // 2) [UPDATED ROWS] If the stringified versions _don't match_, then it needs to be updated
-            else if ( JSON.stringify( v ) !== JSON.stringify( dataB[k] ) )
-                updates.update[ k ] = dataB[ k ];
+            if ( ! byContent )
+                $.each( data, function ( i, row ) {
+                    var key = dtSettings.liveAjax.getRowKey( row );
 
-            // Only option now should be if the JSON data the same, which means nothing needs to be done
+                    if ( typeof key === 'undefined' )
+                        throw new Error('Unable to parse data set, row key not found at instance # ' + i);
 
-            // Delete this from the 2nd data set, since its been processed
-            delete( dataB[ k ] );
-        });
+                    source.keys.push( key );
+                });
+        }
 
-        // [CREATED ROWS] Now, dataB should consist of just the new rows to be created, so move them over
-        // to the updates.create array
-        $.each( dataB, function( k, v ){
-            updates.create.push( v );
-        });
+        if ( noHashes !== true )
+            source.hashes = _fnHashRows( source.rows, dtSettings.liveAjax.ignoreFields );
 
-        return updates.create.length || updates.delete.length || Object.keys(updates.update).length
-            ? updates
-            : null;
+        return source;
     }
 
     /**
-     * Fire callback functions and trigger events. Note that the loop over the
-     * callback array store is done backwards! Further note that you do not want to
-     * fire off triggers in time sensitive applications (for example cell creation)
-     * as its slow.
-     *  @param {object} dtSettings dataTables settings object
-     *  @param {string} callbackArr Name of the array storage for the callbacks in
-     *      dtSettings
-     *  @param {string} eventName Name of the jQuery custom event to trigger. If
-     *      null no trigger is fired
-     *  @param {array} args Array of arguments to pass to the callback function /
-     *      trigger
-     *  @param {string} namespace Namespace of event, such as xhrAbort.namespace,
-     *      defaults to 'dt'
-     *  @memberof DataTable#oApi
+     * Copy of a row without the ignored fields (liveAjax.ignoreFields). Only the objects along the
+     * path to each field are copied, the row itself is left as is (this also runs in the diff
+     * worker, so it can't use jQuery)
+     *
+     * @param   {object|array}  row     Row data
+     * @param   {array}         paths   Path of each field to leave out, split into its properties
+     * @returns {object|array}  The row without the fields
      */
-    function _fnCallbackFire( dtSettings, callbackArr, eventName, args, namespace ) {
-        var ret = [];
+    function _fnStripFields( row, paths ) {
+        var copy = function ( value ) {
+                var result = Array.isArray( value ) ? [] : {};
 
-        if ( callbackArr ) {
-            ret = $.map( dtSettings[callbackArr].slice().reverse(), function (val, i) {
-                return val.fn.apply( dtSettings.oInstance, args );
-            } );
-        }
+                for ( var k in value )
+                    if ( Object.prototype.hasOwnProperty.call( value, k ) )
+                        result[ k ] = value[ k ];
 
-        if ( eventName !== null ) {
-            var e = $.Event( eventName+'.'+ (namespace || 'dt') );
+                return result;
+            },
+            stripped = copy( row ),
+            node, i, j;
 
-            $(dtSettings.nTable).trigger( e, args );
+        for ( i = 0; i < paths.length; i++ ) {
+            node = stripped;
+
+            for ( j = 0; j < paths[ i ].length - 1 && node !== null && typeof node === 'object'; j++ ) {
+                if ( node[ paths[ i ][ j ] ] === null || typeof node[ paths[ i ][ j ] ] !== 'object' ) {
+                    node = null;
+                    break;
+                }
+
+                node = node[ paths[ i ][ j ] ] = copy( node[ paths[ i ][ j ] ] );
+            }
 
-            ret.push( e.result );
+            if ( node !== null && typeof node === 'object' )
+                delete node[ paths[ i ][ paths[ i ].length - 1 ] ];
         }
 
-        return ret;
+        return stripped;
     }
 
     /**
-     * Log an error message
-     *  @param {object}     dtSettings  DataTables settings object
-     *  @param {integer}    level       log error messages, or display them to the user
-     *  @param {string}     msg         error message
-     *  @param {integer}    tn          Technical note id to get more information about the error.
-     *  @memberof DataTable#oApi
+     * Hash the content of each row, leaving out any ignored fields (this also runs in the diff
+     * worker, so it can't use jQuery)
+     *
+     * @param   {array}     rows    Rows to hash
+     * @param   {array}     ignore  Paths of the fields to leave out (see liveAjax.ignoreFields)
+     * @returns {array}     The hash of each row
      */
-    function _fnLog( dtSettings, level, msg, tn ) {
-        msg = '[LiveAjax] DataTables warning: '+
-        ( dtSettings ? 'table id='+dtSettings.sTableId+' - ' : '' )+msg;
-
-        if ( tn ) {
-            msg += '. For more information about this error, please see '+
-            'http://datatables.net/tn/'+tn;
-        }
-
-        if ( ! level  ) {
-            // Backwards compatibility pre 1.10
-            var ext = $.fn.dataTableExt;
-            var type = ext.sErrMode || ext.errMode;
+    function _fnHashRows( rows, ignore ) {
+        var hashes = [],
+            paths = ( ignore || [] ).map( function ( path ) {
+                return path.split( '.' );
+            } );
 
-            if ( dtSettings ) {
-                _fnCallbackFire( dtSettings, null, 'error', [ dtSettings, tn, msg ] );
-            }
+        for ( var i = 0; i < rows.length; i++ )
+            hashes.push( _fnHash( JSON.stringify( paths.length !== 0 && rows[ i ] !== null && typeof rows[ i ] === 'object'
+                ? _fnStripFields( rows[ i ], paths )
+                : rows[ i ] ) ) );
 
-            if ( type == 'alert' ) {
-                alert( msg );
-            }
-            else if ( type == 'throw' ) {
-                throw new Error(msg);
-            }
-            else if ( typeof type == 'function' ) {
-                type( dtSettings, tn, msg );
-            }
-        }
-        else if ( window.console && console.log ) {
-            console.log( msg );
-        }
+        return hashes;
     }
 
     /**
-     * Check if a DT callback is enabled to run or not
-     * @param   {object}    dtSettings  DataTables settings object
+     * Compare the keys and hashes of the previous and new rows (see _fnDiffSource). Rows are matched
+     * by their key (or their hash, when there are no keys), and rows sharing a key are matched in
+     * order, so duplicates are counted rather than lost. Matched rows with different hashes were
+     * updated. This also runs in the diff worker, so it can't use jQuery
+     *
+     * @param   {object}    prev    The keys and hashes of the _current_ rows
+     * @param   {object}    next    The keys and hashes of the _new_ rows
+     * @returns {object}    { created: [new row #], updated: [[current row #, new row #]], deleted: [keys] }
+     */
+    function _fnCompareRows( prev, next ) {
+        var prevKeys  = prev.keys || prev.hashes,
+            nextKeys  = next.keys || next.hashes,
+            // Positions of the current rows, by their key
+            positions = Object.create( null ),
+            result    = {
+                created: [],
+                updated: [],
+                deleted: []
+            },
+            key, pos, i;
+
+        for ( i = 0; i < prevKeys.length; i++ )
+            ( positions[ prevKeys[ i ] ] = positions[ prevKeys[ i ] ] || [] ).push( i );
+
+        for ( i = 0; i < nextKeys.length; i++ ) {
+            pos = positions[ nextKeys[ i ] ] !== undefined
+                ? positions[ nextKeys[ i ] ].shift()
+                : undefined;
+
+            if ( pos === undefined )
+                result.created.push( i );
+
+            else if ( prev.hashes[ pos ] !== next.hashes[ i ] )
+                result.updated.push( [ pos, i ] );
+        }
+
+        // Whatever current rows weren't matched were deleted
+        for ( key in positions )
+            for ( i = 0; i < positions[ key ].length; i++ )
+                result.deleted.push( key );
+
+        return result;
+    }
+
+    /**
+     * Build the change set handed to the onUpdate callback/event out of what _fnCompareRows found.
+     * Returns an object with the 'delete' element holding the keys of the rows to be deleted, the
+     * 'create' element holding the complete data needed to create the new DataTables rows, the
+     * 'update' element holding the new data of the updated rows (by key) and the 'changes' element
+     * holding the previous data and the paths of the fields that changed (see _fnChangedFields)
+     *
+     * @param   {object}    prev    The _current_ rows (see _fnDiffSource)
+     * @param   {object}    next    The _new_ rows (see _fnDiffSource)
+     * @param   {object}    result  What _fnCompareRows found, with the updates confirmed by _fnConfirmUpdates
+     * @returns {object}    { updates: (object|null), createKeys: (array) the key of each created row }
+     */
+    function _fnBuildChanges( prev, next, result ) {
+        var updates = {
+                create: [], // Array of Objects
+                delete: [], // Array of keys (Strings)
+                update: {}, // Objects of rows updated
+                changes: {} // Objects of the previous data and changed fields of the rows updated
+            },
+            createKeys = [];
+
+        $.each( result.created, function ( i, pos ) {
+            updates.create.push( next.rows[ pos ] );
+            createKeys.push( next.keys === null ? undefined : next.keys[ pos ] );
+        });
+
+        $.each( result.deleted, function ( i, key ) {
+            updates.delete.push( key.toString() ); // Convert to string (rowId needs string)
+        });
+
+        $.each( result.updated, function ( i, pos ) {
+            var key = next.keys[ pos[1] ];
+
+            updates.update[ key ] = next.rows[ pos[1] ];
+            updates.changes[ key ] = {
+                previous: prev.rows[ pos[0] ],
+                fields: pos[2]
+            };
+        });
+
+        return {
+            updates: updates.create.length || updates.delete.length || result.updated.length
+                ? updates
+                : null,
+            createKeys: createKeys
+        };
+    }
+
+    /**
+     * Get the value of a field of a row, by its path (eg: 'address.city', or '2' for array rows)
+     *
+     * @param   {object|array}  row     Row data
+     * @param   {string}        path    Path of the field
+     * @returns {*}             Value of the field (undefined if its not there)
+     */
+    function _fnFieldValue( row, path ) {
+        var value = row;
+
+        $.each( path.split( '.' ), function ( i, prop ) {
+            value = value !== null && typeof value === 'object' ? value[ prop ] : undefined;
+        } );
+
+        return value;
+    }
+
+    /**
+     * Get the fields of a row that changed in a way that matters; leaving out the ignored fields
+     * (liveAjax.ignoreFields), and the fields the liveAjax.compare functions consider the same, or
+     * numbers that changed within the liveAjax.tolerance. A compare function for the whole row
+     * decides for the row as a whole
+     *
+     * @param   {object}        dtSettings  DataTables settings object
+     * @param   {object|array}  rowA        The _previous_ row data
+     * @param   {object|array}  rowB        The _new_ row data
+     * @returns {array|null}    Paths of the changed fields, or null if the row is considered the same
+     */
+    function _fnRowChanges( dtSettings, rowA, rowB ) {
+        var ignore = dtSettings.liveAjax.ignoreFields,
+            compare = dtSettings.liveAjax.compare,
+            tolerance = dtSettings.liveAjax.tolerance,
+            fields = $.grep( _fnChangedFields( rowA, rowB ), function ( field ) {
+                for ( var i = 0; i < ignore.length; i++ )
+                    if ( field === ignore[ i ] || field.indexOf( ignore[ i ] + '.' ) === 0 )
+                        return false;
+
+                return true;
+            } );
+
+        if ( $.isFunction( compare ) )
+            return compare( rowA, rowB, fields ) === true ? null : fields;
+
+        fields = $.grep( fields, function ( field ) {
+            var a = _fnFieldValue( rowA, field ),
+                b = _fnFieldValue( rowB, field ),
+                max = $.isPlainObject( tolerance ) ? tolerance[ field ] : tolerance;
+
+            if ( compare !== null && $.isFunction( compare[ field ] ) )
+                return compare[ field ]( a, b, rowA, rowB ) !== true;
+
+            if ( typeof a === 'number' && typeof b === 'number' && max > 0 )
+                return Math.abs( a - b ) > max;
+
+            return true;
+        } );
+
+        return fields.length !== 0 ? fields : null;
+    }
+
+    /**
+     * Confirm the updated rows _fnCompareRows found (the hash of their content changed) with
+     * _fnRowChanges, adding the paths of the changed fields to each. The rows that are considered
+     * the same keep the data the table has in the new rows (and their hashes), so the next update
+     * is compared to that, rather than slowly drifting past the tolerance unnoticed
+     *
+     * @param   {object}    dtSettings  DataTables settings object
+     * @param   {object}    prev        The _current_ rows (see _fnDiffSource)
+     * @param   {object}    next        The _new_ rows (see _fnDiffSource), flagged as patched if any
+     *                                  of the current rows are kept
+     * @param   {object}    result      What _fnCompareRows found
+     * @returns {object}    The result, with [ current row #, new row #, fields ] for each updated row
+     */
+    function _fnConfirmUpdates( dtSettings, prev, next, result ) {
+        var updated = [];
+
+        $.each( result.updated, function ( i, pos ) {
+            var fields = _fnRowChanges( dtSettings, prev.rows[ pos[0] ], next.rows[ pos[1] ] );
+
+            if ( fields !== null ) {
+                updated.push( [ pos[0], pos[1], fields ] );
+                return;
+            }
+
+            // The new rows are copied before being changed, since they're the rows of the JSON
+            if ( next.patched !== true ) {
+                next.patched = true;
+
+                if ( $.isPlainObject( next.source ) ) {
+                    next.source = $.extend( {}, next.source );
+                    next.rows = next.rows.slice();
+                }
+                else {
+                    next.source = next.rows = next.rows.slice();
+                }
+            }
+
+            next.rows[ pos[1] ] = prev.rows[ pos[0] ];
+
+            if ( $.isPlainObject( next.source ) )
+                next.source[ next.keys[ pos[1] ] ] = prev.rows[ pos[0] ];
+
+            if ( next.hashes !== null && prev.hashes !== null )
+                next.hashes[ pos[1] ] = prev.hashes[ pos[0] ];
+            else
+                next.hashes = null;
+        } );
+
+        return {
+            created: result.created,
+            updated: updated,
+            deleted: result.deleted
+        };
+    }
+
+    /**
+     * Compare two sets of rows that don't have keys as a whole (position by position), leaving out
+     * whatever _fnRowChanges considers the same
+     *
+     * @param   {object}    dtSettings  DataTables settings object
+     * @param   {array}     dataA       The _current_ rows
+     * @param   {array}     dataB       The _new_ rows
+     * @returns {boolean}   True if the rows are considered the same
+     */
+    function _fnSameRows( dtSettings, dataA, dataB ) {
+        if ( JSON.stringify( dataA ) === JSON.stringify( dataB ) )
+            return true;
+
+        if ( ! $.isArray( dataA ) || ! $.isArray( dataB ) || dataA.length !== dataB.length )
+            return false;
+
+        for ( var i = 0; i < dataA.length; i++ )
+            if ( JSON.stringify( dataA[ i ] ) !== JSON.stringify( dataB[ i ] ) && _fnRowChanges( dtSettings, dataA[ i ], dataB[ i ] ) !== null )
+                return false;
+
+        return true;
+    }
+
+    /**
+     * Diff two sets of rows on the main thread, by their keys (or their content). The keys and
+     * hashes of the current rows are taken from liveAjax.diffCache when its for the same rows, so
+     * they don't get stringified again. If any of the rows don't have a key, a warning is logged
+     * and false is returned, so the rows can be compared as a whole
+     *
+     * @param   {object}        dtSettings  DataTables settings object
+     * @param   {array|object}  dataA       The _current_ rows
+     * @param   {array|object}  dataB       The _new_ rows
+     * @param   {boolean}       byContent   Identify the rows by their content, rather than their key
+     * @returns {object|boolean}    { updates, createKeys, cache: the diffCache for dataB }, or false
+     *                              if the rows couldn't be keyed
+     */
+    function _fnDiffRows( dtSettings, dataA, dataB, byContent ) {
+        var prev = dtSettings.liveAjax.diffCache,
+            next,
+            diff;
+
+        try {
+            if ( prev === null || prev.source !== dataA || prev.hashes === null || ( prev.keys === null ) !== byContent )
+                prev = _fnDiffSource( dtSettings, dataA, byContent );
+
+            next = _fnDiffSource( dtSettings, dataB, byContent );
+        }
+        catch ( e ) {
+            _fnLog( dtSettings, 1, e.message + ', comparing the rows as a whole instead' );
+
+            return false;
+        }
+
+        diff = _fnBuildChanges( prev, next, _fnConfirmUpdates( dtSettings, prev, next, _fnCompareRows( prev, next ) ) );
+        diff.cache = next;
+
+        return diff;
+    }
+
+    /**
+     * Get the diff worker of the table (liveAjax.worker), creating it if need be. The worker is
+     * built from the same _fnHash, _fnStripFields, _fnHashRows and _fnCompareRows functions used on
+     * the main thread, and keeps the hashes of the last rows it was posted, so they aren't posted again
+     *
+     * @param   {object}    dtSettings  DataTables settings object
+     * @returns {object|null}   The Worker, or null if workers are disabled or not available
+     */
+    function _fnDiffWorker( dtSettings ) {
+        var source;
+
+        if ( dtSettings.liveAjax.worker !== true )
+            return null;
+
+        if ( dtSettings.liveAjax.diffWorker !== null )
+            return dtSettings.liveAjax.diffWorker;
+
+        source = [ _fnHash, _fnStripFields, _fnHashRows, _fnCompareRows ].join( '\n' ) + '\n(' + function () {
+            // Keys and hashes of the rows of the last message, and the ones it was compared to
+            var indexes = {};
+
+            self.onmessage = function ( e ) {
+                var msg  = e.data,
+                    next = { keys: msg.keys, hashes: _fnHashRows( msg.rows, msg.ignore ) },
+                    prev = msg.baseRows
+                        ? { keys: msg.baseKeys, hashes: _fnHashRows( msg.baseRows, msg.ignore ) }
+                        : indexes[ msg.base ];
+
+                // If the result isn't applied, the next message is compared to the same rows
+                indexes = {};
+                indexes[ msg.base ] = prev;
+                indexes[ msg.id ] = next;
+
+                self.postMessage( {
+                    id: msg.id,
+                    result: prev === undefined ? null : _fnCompareRows( prev, next )
+                } );
+            };
+        } + ')();';
+
+        try {
+            dtSettings.liveAjax.diffWorker = new Worker( URL.createObjectURL( new Blob( [ source ], { type: 'text/javascript' } ) ) );
+        }
+        catch ( e ) {
+            // No workers (or not from a blob: URL, due to the Content Security Policy), so stick to the main thread
+            _fnLog( dtSettings, 1, 'Unable to start the diff worker (' + e.message + '), diffing on the main thread instead' );
+
+            dtSettings.liveAjax.worker = false;
+
+            return null;
+        }
+
+        return dtSettings.liveAjax.diffWorker;
+    }
+
+    /**
+     * Stop the diff worker of the table, if there is one
+     *
+     * @param   {object}    dtSettings  DataTables settings object
+     */
+    function _fnStopDiffWorker( dtSettings ) {
+        if ( dtSettings.liveAjax.diffWorker !== null )
+            dtSettings.liveAjax.diffWorker.terminate();
+
+        dtSettings.liveAjax.diffWorker = null;
+        dtSettings.liveAjax.workerBase = null;
+        dtSettings.liveAjax.diffing = false;
+    }
+
+    /**
+     * Diff two sets of rows, in the diff worker if liveAjax.worker is enabled (falling back to the
+     * main thread if the worker can't be used), otherwise on the main thread. The callback is
+     * handed what _fnDiffRows returns, and with the worker, is executed asynchronously
+     *
+     * @param   {object}        dtSettings  DataTables settings object
+     * @param   {array|object}  dataA       The _current_ rows
+     * @param   {array|object}  dataB       The _new_ rows
+     * @param   {boolean}       byContent   Identify the rows by their content, rather than their key
+     * @param   {function}      callback    Function handed the diff (or false)
+     */
+    function _fnDiff( dtSettings, dataA, dataB, byContent, callback ) {
+        var worker = _fnDiffWorker( dtSettings ),
+            start  = new Date(),
+            prev   = dtSettings.liveAjax.diffCache,
+            done   = function ( diff ) {
+                dtSettings.liveAjax.diffing = false;
+                dtSettings.liveAjax.lastDiffDuration = new Date() - start;
+
+                callback( diff );
+            },
+            next,
+            msg;
+
+        if ( worker === null ) {
+            done( _fnDiffRows( dtSettings, dataA, dataB, byContent ) );
+            return;
+        }
+
+        try {
+            next = _fnDiffSource( dtSettings, dataB, byContent, true );
+
+            msg = {
+                id: ++dtSettings.liveAjax.workerId,
+                base: dtSettings.liveAjax.workerBase,
+                rows: next.rows,
+                keys: next.keys,
+                ignore: dtSettings.liveAjax.ignoreFields
+            };
+
+            // The worker only has the hashes of the current rows if it diffed them last time
+            if ( prev === null || prev.source !== dataA || msg.base === null || ( prev.keys === null ) !== byContent ) {
+                prev = _fnDiffSource( dtSettings, dataA, byContent, true );
+
+                msg.base     = -msg.id;
+                msg.baseRows = prev.rows;
+                msg.baseKeys = prev.keys;
+            }
+        }
+        catch ( e ) {
+            _fnLog( dtSettings, 1, e.message + ', comparing the rows as a whole instead' );
+
+            done( false );
+            return;
+        }
+
+        worker.onmessage = function ( e ) {
+            var diff;
+
+            if ( e.data.id !== msg.id )
+                return;
+
+            // The worker lost track of the current rows, so diff these on the main thread
+            if ( e.data.result === null ) {
+                dtSettings.liveAjax.workerBase = null;
+
+                done( _fnDiffRows( dtSettings, dataA, dataB, byContent ) );
+                return;
+            }
+
+            diff = _fnBuildChanges( prev, next, _fnConfirmUpdates( dtSettings, prev, next, e.data.result ) );
+            diff.cache = next;
+
+            // The worker has the hashes of the new rows as they came, rather than of the rows kept from the table, so
+            // it gets posted the current rows again next time
+            diff.workerId = next.patched === true ? null : msg.id;
+
+            done( diff );
+        };
+
+        worker.onerror = function ( e ) {
+            if ( dtSettings.liveAjax.diffing !== true )
+                return;
+
+            _fnLog( dtSettings, 1, 'The diff worker failed (' + ( e.message || 'unknown error' ) + '), diffing on the main thread instead' );
+
+            _fnStopDiffWorker( dtSettings );
+
+            dtSettings.liveAjax.worker = false;
+
+            done( _fnDiffRows( dtSettings, dataA, dataB, byContent ) );
+        };
+
+        dtSettings.liveAjax.diffing = true;
+
+        try {
+            worker.postMessage( msg );
+        }
+        catch ( e ) {
+            // The rows can't be cloned (eg: they hold functions), so they can't be diffed in the worker
+            _fnLog( dtSettings, 1, 'Unable to post the rows to the diff worker (' + e.message + '), diffing on the main thread instead' );
+
+            _fnStopDiffWorker( dtSettings );
+
+            dtSettings.liveAjax.worker = false;
+
+            done( _fnDiffRows( dtSettings, dataA, dataB, byContent ) );
+        }
+    }
+
+    /**
+     * Get where the rows are in the JSON; the ajax.dataSrc setting, or the (legacy) sAjaxDataProp
+     *
+     * @param   {object}            dtSettings  DataTables settings object
+     * @returns {string|function}
+     */
+    function _fnDataSrc( dtSettings ) {
+        return $.isPlainObject( dtSettings.ajax ) && dtSettings.ajax.dataSrc !== undefined
+            ? dtSettings.ajax.dataSrc
+            : dtSettings.sAjaxDataProp;
+    }
+
+    /**
+     * Get the rows from the JSON, resolving ajax.dataSrc the same way DataTables does; a
+     * property name, a nested property (eg: 'result.items'), an empty string for the JSON
+     * itself, or a function that's handed the JSON and returns the rows
+     *
+     * @param   {object}        dtSettings  DataTables settings object
+     * @param   {object}        json        JSON returned from the AJAX source
+     * @returns {array|object}  Array of rows, or an object of rows keyed by their id
+     */
+    function _fnGetData( dtSettings, json ) {
+        var internal = $.fn.dataTable.ext.internal,
+            // The snapshot (liveAjax.persist) is read before liveAjax is initialized on the table
+            dataSrc  = dtSettings.liveAjax !== undefined ? dtSettings.liveAjax.dataSrc : _fnDataSrc( dtSettings );
+
+        if ( internal && $.isFunction( internal._fnAjaxDataSrc ) )
+            return internal._fnAjaxDataSrc( dtSettings, json );
+
+        // Compatibility with 1.9-, which read from aaData
+        if ( dataSrc === 'data' )
+            return json.aaData || json.data;
+
+        if ( $.isFunction( dataSrc ) )
+            return dataSrc( json );
+
+        return dataSrc === '' ? json : json[ dataSrc ];
+    }
+
+    /**
+     * Get a copy of the JSON with the rows replaced, at the location ajax.dataSrc points to. The
+     * objects along a nested dataSrc are copied too, so the original JSON is left as it was. The
+     * rows can't be written through a dataSrc function, so the JSON is just copied then
+     *
+     * @param   {object}        dtSettings  DataTables settings object
+     * @param   {object}        json        JSON to copy
+     * @param   {array|object}  data        Rows to place in the copy
+     * @returns {object|array}  The copy of the JSON (or the rows, if the JSON is the rows itself)
+     */
+    function _fnSetData( dtSettings, json, data ) {
+        var dataSrc = dtSettings.liveAjax.dataSrc,
+            result  = $.extend( {}, json ),
+            parent  = result,
+            path;
+
+        if ( dataSrc === '' )
+            return data;
+
+        if ( $.isFunction( dataSrc ) )
+            return result;
+
+        // Compatibility with 1.9-, which read from aaData
+        path = dataSrc === 'data' && json.aaData !== undefined
+            ? [ 'aaData' ]
+            : dataSrc.split('.');
+
+        $.each( path.slice( 0, -1 ), function ( i, prop ) {
+            parent = parent[ prop ] = $.extend( {}, parent[ prop ] );
+        });
+
+        parent[ path[ path.length - 1 ] ] = data;
+
+        return result;
+    }
+
+    /**
+     * Check if the rows can be diffed by their ids; either its an object of rows keyed by their
+     * id, an array of rows with the rowId, or the liveAjax.rowKey setting is used
+     *
+     * @param   {object}        dtSettings  DataTables settings object
+     * @param   {array|object}  data        Rows from the JSON
+     * @returns {boolean}
+     */
+    function _fnIsKeyed( dtSettings, data ) {
+        if ( $.isPlainObject( data ) )
+            return true;
+
+        if ( dtSettings.liveAjax.rowKey !== null )
+            return true;
+
+        return $.isArray( data )
+            && dtSettings.liveAjax.getRowKey( data[0] ) !== undefined;
+    }
+
+    /**
+     * Get the key a table row is identified by; the key of the row within the JSON object it
+     * came from (for keyed objects of rows), otherwise its liveAjax.rowKey (or rowId). Rows
+     * without either are identified by the hash of their content, if liveAjax.hashRows is on
+     *
+     * @param   {object}    dtSettings  DataTables settings object
+     * @param   {number}    idx         Row index
+     * @returns {string|undefined}
+     */
+    function _fnRowKey( dtSettings, idx ) {
+        var row = dtSettings.aoData[ idx ],
+            key = row._liveAjaxKey !== undefined
+                ? row._liveAjaxKey
+                : dtSettings.liveAjax.getRowKey( row._aData );
+
+        return key === undefined && dtSettings.liveAjax.hashRows === true
+            ? _fnHash( JSON.stringify( row._aData ) )
+            : key;
+    }
+
+    /**
+     * Get the indexes of the table rows by their key (see _fnRowKey), leaving out the rows that
+     * are fading out to be deleted. Rows identified by their content can share a key, so each
+     * key has an array of indexes
+     *
+     * @param   {object}    dtSettings  DataTables settings object
+     * @returns {object}    Arrays of row indexes, keyed by the row keys
+     */
+    function _fnKeyIndexes( dtSettings ) {
+        var indexes = {};
+
+        $.each( dtSettings.aoData, function ( idx, row ) {
+            var key = _fnRowKey( dtSettings, idx );
+
+            if ( row._liveAjaxDelete !== true && key !== undefined )
+                ( indexes[ key ] = indexes[ key ] || [] ).push( idx );
+        });
+
+        return indexes;
+    }
+
+    /**
+     * Set the data of a row, without having DataTables re-read it (the updated rows are invalidated all at
+     * once). Like row().data(), the rowId lookup (for table.row('#id')) and the id of the TR are kept in
+     * sync, should the rowId of the row have changed
+     *
+     * @param   {object}    dtSettings  DataTables settings object
+     * @param   {integer}   idx         Index of the row in aoData
+     * @param   {object}    data        New data of the row
+     */
+    function _fnSetRowData( dtSettings, idx, data ) {
+        var row = dtSettings.aoData[ idx ],
+            oldId,
+            id;
+
+        if ( $.isFunction( dtSettings.rowIdFn ) ) {
+            oldId = dtSettings.rowIdFn( row._aData );
+            id = dtSettings.rowIdFn( data );
+
+            if ( oldId !== id ) {
+                if ( oldId !== undefined && dtSettings.aIds[ oldId ] === row )
+                    delete dtSettings.aIds[ oldId ];
+
+                if ( id !== undefined )
+                    dtSettings.aIds[ id ] = row;
+
+                if ( row.nTr !== null && id )
+                    row.nTr.id = id;
+            }
+        }
+
+        row._aData = data;
+    }
+
+    /**
+     * Add rows to the table, remembering the key of each row if they came from a keyed object
+     *
+     * @param   {object}        dtSettings  DataTables settings object
+     * @param   {array}         rows        Row data to add
+     * @param   {array}         keys        Key of each row, or undefined if the rows weren't keyed
+     * @returns {object}        DataTables API instance holding the added rows
+     */
+    function _fnAddRows( dtSettings, rows, keys ) {
+        var added = new $.fn.dataTable.Api( dtSettings ).rows.add( rows );
+
+        if ( keys !== undefined )
+            added.indexes().each( function ( idx, i ) {
+                dtSettings.aoData[ idx ]._liveAjaxKey = keys[ i ];
+            });
+
+        return added;
+    }
+
+    /**
+     * Get the paths of the fields that differ between two versions of a row. Nested objects
+     * are compared field by field (resulting in dotted paths, such as 'address.city'), any
+     * other values (including arrays) are compared as a whole. For array rows, the paths are
+     * the column indexes (eg: '2').
+     *
+     * @param   {object|array}  rowA    The _previous_ row data
+     * @param   {object|array}  rowB    The _new_ row data
+     * @param   {string}    path    Path of the parent field (used when recursing)
+     * @return  {array}             Paths of the changed fields
+     */
+    function _fnChangedFields( rowA, rowB, path ){
+        var fields = [];
+
+        path = path ? path + '.' : '';
+
+        // Loop over the fields of both rows, so added and removed fields are caught too
+        $.each( $.extend( {}, rowA, rowB ), function( k ){
+            if ( $.isPlainObject( rowA[ k ] ) && $.isPlainObject( rowB[ k ] ) )
+                fields = fields.concat( _fnChangedFields( rowA[ k ], rowB[ k ], path + k ) );
+
+            else if ( JSON.stringify( rowA[ k ] ) !== JSON.stringify( rowB[ k ] ) )
+                fields.push( path + k );
+        });
+
+        return fields;
+    }
+
+    /**
+     * Check if the JSON is a delta response (shaped like {version, create:[], update:[], delete:[]}),
+     * rather than a full snapshot of the table data. Only applies when liveAjax.delta is enabled
+     *
+     * @param   {object}    dtSettings  DataTables settings object
+     * @param   {object}    json        JSON returned from the AJAX source
+     * @returns {boolean}
+     */
+    function _fnIsDelta( dtSettings, json ) {
+        var data;
+
+        if ( dtSettings.liveAjax.delta !== true
+            || ! $.isPlainObject( json )
+            || ! ( $.isArray( json.create ) || $.isArray( json.update ) || $.isArray( json.delete ) ) )
+            return false;
+
+        // A dataSrc function may not expect the delta structure, so if it can't find rows, there aren't any
+        try {
+            data = _fnGetData( dtSettings, json );
+        }
+        catch ( e ) {
+            return true;
+        }
+
+        return ! $.isArray( data );
+    }
+
+    /**
+     * Apply a delta response to the current data set. Rows in the 'update' element that don't
+     * exist yet are treated as created, rows in the 'create' element that do exist already are
+     * treated as updated, and the 'delete' element can hold either the rowIds or the rows.
+     *
+     * @param   {function}  getKey  Function returning the key of a row (see _fnRowKeyFn)
+     * @param   {array}     data    The _current_ DataTables JSON Table data
+     * @param   {object}    delta   The delta JSON
+     * @return  {object}            An object with two elements: data (array) - the data set with
+     *                              the delta applied; updates (object|null) - the changes, in the
+     *                              same structure _fnGetChanges returns
+     */
+    function _fnApplyDelta( getKey, data, delta ) {
+        var updates = {
+                create: [],
+                delete: [],
+                update: {},
+                changes: {}
+            },
+            // Position of each row within data, by row key
+            positions = {},
+            result = data.slice();
+
+        $.each( data, function( i, row ){
+            positions[ getKey( row ) ] = i;
+        });
+
+        // Created and updated rows
+        $.each( ( delta.update || [] ).concat( delta.create || [] ), function( i, row ){
+            var key = getKey( row );
+
+            if ( typeof key === 'undefined' )
+                throw new Error('Unable to parse delta, row key not found at instance # ' + i);
+
+            if ( positions[ key ] === undefined )
+                positions[ key ] = result.push( row ) - 1;
+            else
+                result[ positions[ key ] ] = row;
+        });
+
+        // Deleted rows
+        $.each( delta.delete || [], function( i, id ){
+            if ( id !== null && typeof id === 'object' )
+                id = getKey( id );
+
+            if ( positions[ id ] === undefined )
+                return;
+
+            // Rows created by this same delta never made it to the table
+            if ( positions[ id ] < data.length )
+                updates.delete.push( id.toString() ); // Convert to string (rowId needs string)
+
+            result[ positions[ id ] ] = undefined;
+            delete( positions[ id ] );
+        });
+
+        $.each( result, function( i, row ){
+            if ( row === undefined || row === data[ i ] )
+                return;
+
+            if ( i < data.length ) {
+                updates.update[ getKey( row ) ] = row;
+                updates.changes[ getKey( row ) ] = {
+                    previous: data[ i ],
+                    fields: _fnChangedFields( data[ i ], row )
+                };
+            }
+            else
+                updates.create.push( row );
+        });
+
+        return {
+            data: $.grep( result, function( row ){
+                return row !== undefined;
+            }),
+            updates: updates.create.length || updates.delete.length || Object.keys(updates.update).length
+                ? updates
+                : null
+        };
+    }
+
+    /**
+     * Fire callback functions and trigger events. Note that the loop over the
+     * callback array store is done backwards! Further note that you do not want to
+     * fire off triggers in time sensitive applications (for example cell creation)
+     * as its slow.
+     *  @param {object} dtSettings dataTables settings object
+     *  @param {string} callbackArr Name of the array storage for the callbacks in
+     *      dtSettings
+     *  @param {string} eventName Name of the jQuery custom event to trigger. If
+     *      null no trigger is fired
+     *  @param {array} args Array of arguments to pass to the callback function /
+     *      trigger
+     *  @param {string} namespace Namespace of event, such as xhrAbort.namespace,
+     *      defaults to 'dt'
+     *  @memberof DataTable#oApi
+     */
+    function _fnCallbackFire( dtSettings, callbackArr, eventName, args, namespace ) {
+        var ret = [];
+
+        if ( callbackArr ) {
+            ret = $.map( dtSettings[callbackArr].slice().reverse(), function (val, i) {
+                return val.fn.apply( dtSettings.oInstance, args );
+            } );
+        }
+
+        if ( eventName !== null ) {
+            var e = $.Event( eventName+'.'+ (namespace || 'dt') );
+
+            $(dtSettings.nTable).trigger( e, args );
+
+            // Handlers can cancel the event by preventing its default, or returning false
+            ret.push( e.isDefaultPrevented() ? false : e.result );
+        }
+
+        return ret;
+    }
+
+    /**
+     * Log an error message
+     *  @param {object}     dtSettings  DataTables settings object
+     *  @param {integer}    level       log error messages, or display them to the user
+     *  @param {string}     msg         error message
+     *  @param {integer}    tn          Technical note id to get more information about the error.
+     *  @memberof DataTable#oApi
+     */
+    function _fnLog( dtSettings, level, msg, tn ) {
+        msg = '[LiveAjax] DataTables warning: '+
+        ( dtSettings ? 'table id='+dtSettings.sTableId+' - ' : '' )+msg;
+
+        if ( tn ) {
+            msg += '. For more information about this error, please see '+
+            'http://datatables.net/tn/'+tn;
+        }
+
+        if ( ! level  ) {
+            // Backwards compatibility pre 1.10
+            var ext = $.fn.dataTableExt;
+            var type = ext.sErrMode || ext.errMode;
+
+            if ( dtSettings ) {
+                _fnCallbackFire( dtSettings, null, 'error', [ dtSettings, tn, msg ] );
+            }
+
+            if ( type == 'alert' ) {
+                alert( msg );
+            }
+            else if ( type == 'throw' ) {
+                throw new Error(msg);
+            }
+            else if ( typeof type == 'function' ) {
+                type( dtSettings, tn, msg );
+            }
+        }
+        else if ( window.console && console.log ) {
+            console.log( msg );
+        }
+    }
+
+    /**
+     * Check if a DT callback is enabled to run or not
+     * @param   {object}    dtSettings  DataTables settings object
      * @param   {function}  callback    Function to execute
      * @returns {boolean|*}
      * @private
      */
-    function _fnDtCallbackEnabled( dtSettings, callback ) {
-        return ( dtSettings.liveAjax.dtCallbacks === true
-        || ($.isArray( dtSettings.liveAjax.dtCallbacks )
-        && $.inArray(callback, dtSettings.liveAjax.dtCallbacks) !== -1
-        )
-        );
+    function _fnDtCallbackEnabled( dtSettings, callback ) {
+        return ( dtSettings.liveAjax.dtCallbacks === true
+        || ($.isArray( dtSettings.liveAjax.dtCallbacks )
+        && $.inArray(callback, dtSettings.liveAjax.dtCallbacks) !== -1
+        )
+        );
+    }
+
+    /**
+     * Display or hide the processing indicator
+     *  @param  {object} dtSettings     DataTables settings object
+     *  @param  {bool}   show           Show the processing indicator (true) or not (false)
+     */
+    function _fnProcessingDisplay ( dtSettings, show ) {
+        if ( dtSettings.oFeatures.bProcessing ) {
+            $( dtSettings.aanFeatures.r ).css( 'display', show ? 'block' : 'none' );
+        }
+
+        _fnCallbackFire( dtSettings, null, 'processing', [ dtSettings, show ] );
+    }
+
+    /**
+     * Build the parameters liveAjax sends to the server with each request, in the
+     * DataTables 1.9- name/value format (or the 1.10+ object format, for server-side
+     * processing tables using it)
+     *
+     * @param   {object}        dtSettings  dataTables settings object
+     * @returns {array|object}  Array of name/value objects, or object of parameters
+     */
+    function _fnAjaxParameters( dtSettings ) {
+        var internal = $.fn.dataTable.ext.internal,
+            data = [];
+
+        // Server-side processing tables need the paging, ordering and searching of the current draw,
+        // which DataTables builds (in the 1.9- or 1.10+ format, depending on the settings)
+        if ( dtSettings.oFeatures.bServerSide && internal && $.isFunction( internal._fnAjaxParameters ) )
+            data = internal._fnAjaxParameters( dtSettings );
+
+        // Let the server know which version we have, so it can respond with only the changes since
+        if ( dtSettings.liveAjax.delta === true && dtSettings.liveAjax.version !== null ) {
+            if ( $.isArray( data ) )
+                data.push( { name: dtSettings.liveAjax.versionParam, value: dtSettings.liveAjax.version } );
+            else
+                data[ dtSettings.liveAjax.versionParam ] = dtSettings.liveAjax.version;
+        }
+
+        return data;
+    }
+
+    /**
+     * Create the handle of a request that isn't made by $.ajax; a Promise with the parts of a jqXHR
+     * that liveAjax relies on (done/fail/always, readyState, status, abort() and getResponseHeader()),
+     * so the polling loop, liveAjax.abortOn and the xhrErr events work the same for any transport.
+     * The request is settled with resolve() or reject(), which execute the success or error callback
+     * first, just like $.ajax does
+     *
+     * @param   {function}  success     Executed with the JSON and textStatus when the request succeeds
+     * @param   {function}  error       Executed with the handle, textStatus and error when the request fails
+     * @returns {object}    handle, resolve( status, headers, json, textStatus ), reject( status, headers,
+     *                      textStatus, errorThrown ), and onAbort (set to be executed when it's aborted)
+     */
+    function _fnRequestHandle( success, error ){
+        var deferred = $.Deferred(),
+            headers = {},
+            complete = function ( status, responseHeaders ) {
+                request.handle.readyState = status > 0 ? XHR_STATE_COMPLETE : XHR_STATE_NOT_INIT;
+                request.handle.status = status;
+
+                // A Headers object (from fetch()), or an object of the headers by name
+                if ( responseHeaders && $.isFunction( responseHeaders.forEach ) )
+                    responseHeaders.forEach( function ( value, name ) {
+                        headers[ name.toLowerCase() ] = value;
+                    } );
+                else
+                    $.each( responseHeaders || {}, function ( name, value ) {
+                        headers[ name.toLowerCase() ] = value;
+                    } );
+            },
+            request = {
+                onAbort: null,
+                handle: deferred.promise( {
+                    readyState: XHR_STATE_SENT,
+                    status: 0,
+                    abort: function ( statusText ) {
+                        if ( deferred.state() === 'pending' ) {
+                            if ( request.onAbort !== null )
+                                request.onAbort();
+
+                            request.reject( 0, null, statusText || 'abort', statusText || 'abort' );
+                        }
+
+                        return this;
+                    },
+                    getResponseHeader: function ( name ) {
+                        var value = headers[ String( name ).toLowerCase() ];
+
+                        return value === undefined ? null : value;
+                    }
+                } ),
+                resolve: function ( status, responseHeaders, json, textStatus ) {
+                    if ( deferred.state() !== 'pending' )
+                        return;
+
+                    complete( status, responseHeaders );
+
+                    if ( success )
+                        success( json, textStatus, request.handle );
+
+                    deferred.resolveWith( null, [ json, textStatus, request.handle ] );
+                },
+                reject: function ( status, responseHeaders, textStatus, errorThrown ) {
+                    if ( deferred.state() !== 'pending' )
+                        return;
+
+                    complete( status, responseHeaders );
+
+                    if ( error )
+                        error( request.handle, textStatus, errorThrown );
+
+                    deferred.rejectWith( null, [ request.handle, textStatus, errorThrown ] );
+                }
+            };
+
+        return request;
+    }
+
+    /**
+     * Make a request through a transport (liveAjax.requestWith); 'fetch', or a function handed the
+     * $.ajax style settings of the request (url, type, data, headers, timeout, contentType, plus the
+     * signal of an AbortController, if available) and the DataTables settings, returning a Promise
+     * of the response. The response is an object holding the json, and optionally the (HTTP) status
+     * and headers; a status of 304 is treated as Not Modified. A rejection may hold the textStatus
+     * (timeout, parsererror, etc; error otherwise), status and headers. The settings.timeout is
+     * enforced here, for any transport
+     *
+     * @param   {object}            dtSettings  DataTables settings object
+     * @param   {string|function}   transport   'fetch', or the transport function
+     * @param   {object}            settings    $.ajax style settings of the request
+     * @param   {function}          success     $.ajax style success callback
+     * @param   {function}          error       $.ajax style error callback
+     * @returns {object}            Request handle (see _fnRequestHandle)
+     */
+    function _fnTransportRequest( dtSettings, transport, settings, success, error ){
+        var request = _fnRequestHandle( success, error ),
+            controller = typeof AbortController === 'function' ? new AbortController() : null,
+            timer = null;
+
+        settings = $.extend( {}, settings, { signal: controller !== null ? controller.signal : undefined } );
+
+        delete settings.success;
+        delete settings.error;
+
+        request.onAbort = function () {
+            clearTimeout( timer );
+
+            if ( controller !== null )
+                controller.abort();
+        };
+
+        if ( settings.timeout > 0 )
+            timer = setTimeout( function () {
+                request.handle.abort( 'timeout' );
+            }, settings.timeout );
+
+        new Promise( function ( resolve ) {
+            resolve( transport === 'fetch'
+                ? _fnFetchTransport( settings )
+                : transport.call( dtSettings.oInstance, settings, dtSettings ) );
+        } )
+            .then( function ( response ) {
+                clearTimeout( timer );
+
+                response = response || {};
+
+                if ( response.status === 304 )
+                    request.resolve( 304, response.headers, undefined, 'notmodified' );
+                else if ( response.json === undefined || response.json === null )
+                    request.reject( response.status || 200, response.headers, 'parsererror', 'No JSON in the response' );
+                else
+                    request.resolve( response.status || 200, response.headers, response.json, 'success' );
+            }, function ( err ) {
+                clearTimeout( timer );
+
+                err = err || {};
+
+                request.reject(
+                    err.status || 0,
+                    err.headers,
+                    err.textStatus || ( err.name === 'TimeoutError' ? 'timeout' : ( err.name === 'SyntaxError' ? 'parsererror' : 'error' ) ),
+                    err
+                );
+            } );
+
+        return request.handle;
+    }
+
+    /**
+     * The fetch() transport (liveAjax.requestWith); the data is sent as the query string of GET
+     * requests, and as the (form encoded, unless it's a string) body of any others, and the
+     * response is parsed as JSON. Any status other than 2xx or 304 rejects with an error
+     *
+     * @param   {object}    settings    $.ajax style settings of the request (see _fnTransportRequest)
+     * @returns {Promise}   Resolved with { json, status, headers }
+     */
+    function _fnFetchTransport( settings ){
+        var method = ( settings.method || settings.type || 'GET' ).toUpperCase(),
+            url = settings.url,
+            params = typeof settings.data === 'string' ? settings.data : $.param( settings.data || {} ),
+            headers = $.extend( { 'Accept': 'application/json, text/javascript, */*; q=0.01' }, settings.headers ),
+            body;
+
+        if ( method === 'GET' || method === 'HEAD' ) {
+            if ( params )
+                url += ( url.indexOf( '?' ) === -1 ? '?' : '&' ) + params;
+        }
+        else {
+            body = params;
+            headers['Content-Type'] = settings.contentType || 'application/x-www-form-urlencoded; charset=UTF-8';
+        }
+
+        return fetch( url, {
+            method: method,
+            headers: headers,
+            body: body,
+            signal: settings.signal,
+            // Never answered from the browser cache (like cache: false for $.ajax), so a 304 is seen as is
+            cache: 'no-store',
+            credentials: settings.xhrFields && settings.xhrFields.withCredentials ? 'include' : 'same-origin'
+        } )
+            .then( function ( response ) {
+                if ( response.status === 304 )
+                    return { status: 304, headers: response.headers };
+
+                if ( ! response.ok )
+                    throw { textStatus: 'error', status: response.status, headers: response.headers, message: response.statusText };
+
+                return response.text().then( function ( text ) {
+                    try {
+                        return { json: JSON.parse( text ), status: response.status, headers: response.headers };
+                    }
+                    catch ( e ) {
+                        throw $.extend( e, { textStatus: 'parsererror', status: response.status, headers: response.headers } );
+                    }
+                } );
+            } );
+    }
+
+    /**
+     * Make a request through a function that responds through a callback (an ajax function, or the
+     * fnServerData of DataTables 1.9-). If it returns a jqXHR, that's used as is; otherwise a request
+     * handle (see _fnRequestHandle) is returned, which is resolved once the callback is executed, and
+     * rejected if the function throws, returns a Promise that's rejected, or doesn't respond within the
+     * timeout (the callback is only executed on success, so a failed request would never settle otherwise)
+     *
+     * @param   {function}  send        Makes the request, handed the callback to respond through
+     * @param   {function}  callback    Callback to hand the JSON to
+     * @param   {number}    timeout     Milliseconds to wait for the response (liveAjax.callbackTimeout), 0 for no limit
+     * @returns {object}    jqXHR or request handle
+     */
+    function _fnCallbackRequest( send, callback, timeout ){
+        var request = _fnRequestHandle( callback, null ),
+            timer = null,
+            returned;
+
+        if ( timeout > 0 )
+            timer = setTimeout( function () {
+                request.handle.abort( 'timeout' );
+            }, timeout );
+
+        request.handle.always( function () {
+            clearTimeout( timer );
+        } );
+
+        try {
+            returned = send( function ( json ) {
+                request.resolve( 200, null, json, 'success' );
+            } );
+        }
+        catch ( err ) {
+            request.reject( 0, null, 'error', err );
+        }
+
+        // A jqXHR settles by itself
+        if ( returned && $.isFunction( returned.done ) && $.isFunction( returned.always ) && returned.readyState !== undefined ) {
+            clearTimeout( timer );
+            return returned;
+        }
+
+        if ( returned && $.isFunction( returned.then ) )
+            returned.then( null, function ( err ) {
+                request.reject( ( err && err.status ) || 0, null, ( err && err.textStatus ) || 'error', err );
+            } );
+
+        if ( returned && $.isFunction( returned.abort ) )
+            request.onAbort = function () {
+                returned.abort();
+            };
+
+        return request.handle;
+    }
+
+    /**
+     * Create an Ajax call based on the table's settings, taking into account that
+     * parameters can have multiple forms, and backwards compatibility.
+     *
+     * @param {object} dtSettings dataTables settings object
+     * @param {array} data Data to send to the server, required by
+     *     DataTables - may be augmented by developer callbacks
+     * @param {function} fn Callback function to run when data is obtained
+     */
+    function _fnBuildAjax( dtSettings, data, fn ) {
+        // Fire the serverParams callback if dtCallbacks is enabled
+        if ( _fnDtCallbackEnabled( dtSettings, 'serverParams' ) )
+        // Compatibility with 1.9-, allow fnServerData and event to manipulate
+            _fnCallbackFire( dtSettings, 'aoServerParams', 'serverParams', [data] );
+
+        // Convert to object based for 1.10+ if using the old array scheme which can
+        // come from server-side processing or serverParams
+        if ( data && $.isArray(data) ) {
+            var tmp = {};
+            var rbracket = /(.*?)\[\]$/;
+
+            $.each( data, function (key, val) {
+                var match = val.name.match(rbracket);
+
+                if ( match ) {
+                    // Support for arrays
+                    var name = match[0];
+
+                    if ( ! tmp[ name ] ) {
+                        tmp[ name ] = [];
+                    }
+                    tmp[ name ].push( val.value );
+                }
+                else {
+                    tmp[val.name] = val.value;
+                }
+            } );
+            data = tmp;
+        }
+
+        var xhrStart;
+        var ajaxData;
+        var ajax = dtSettings.ajax;
+        var instance = dtSettings.oInstance;
+        var callback = function ( json ) {
+            // Fire the xhr callback if dtCallbacks is enabled
+            if ( _fnDtCallbackEnabled( dtSettings, 'xhr' ) )
+                _fnCallbackFire( dtSettings, null, 'xhr', [dtSettings, json, dtSettings.jqXHR] );
+
+            fn( json );
+        };
+
+        // Get the AJAX data from the DT Init setting ajax.data
+        if ( $.isPlainObject( ajax ) && ajax.data ) {
+            ajaxData = ajax.data;
+
+            var newData = $.isFunction( ajaxData ) ?
+                ajaxData( data, dtSettings ) :  // fn can manipulate data or return
+                ajaxData;                      // an object object or array to merge
+
+            // If the function returned something, use that alone
+            data = $.isFunction( ajaxData ) && newData ?
+                newData :
+                $.extend( true, data, newData );
+
+            // Remove the data property as we've resolved it already and don't want
+            // jQuery to do it again (it is restored at the end of the function)
+            delete ajax.data;
+        }
+
+        var baseAjax = {
+            data: data,
+            dataType: "json",
+            cache: false,
+            type: dtSettings.ajax.type || 'GET',
+            success: function (json, textStatus) {
+                // 304 Not Modified - Nothing to parse, so hand over the JSON we already have
+                if ( textStatus === 'notmodified' ) {
+                    callback( dtSettings.liveAjax.previousJson );
+                    return;
+                }
+
+                var error = json.error || json.sError;
+
+                if ( error )
+                    _fnLog( dtSettings, 0, error );
+
+                dtSettings.json = json;
+
+                callback( json );
+            },
+            error: function (xhr, error, thrown) {
+                // Fire the xhr callback if dtCallbacks is enabled
+                if ( _fnDtCallbackEnabled( dtSettings, 'xhr' ) )
+                    var ret = _fnCallbackFire( dtSettings, null, 'xhr', [dtSettings, null, dtSettings.jqXHR] );
+
+                if ( $.inArray( true, ret ) === -1 ) {
+                    if ( error == "parsererror" ) {
+                        _fnLog( dtSettings, 0, 'Invalid JSON response', 1 );
+                    }
+                    // Going offline isn't an error worth alerting about, when the updates are paused meanwhile (see
+                    // liveAjax.whenOffline)
+                    else if ( xhr.readyState === 4 && ( window.navigator.onLine !== false || dtSettings.liveAjax.whenOffline === false ) ) {
+                        _fnLog( dtSettings, 0, 'Ajax error', 7 );
+                    }
+                }
+
+                _fnProcessingDisplay( dtSettings, false );
+            }
+        };
+
+        // Make the request conditional, using the validators of the last response
+        if ( dtSettings.liveAjax.ifModified === true ) {
+            baseAjax.headers = {};
+
+            if ( dtSettings.liveAjax.etag !== null )
+                baseAjax.headers['If-None-Match'] = dtSettings.liveAjax.etag;
+
+            if ( dtSettings.liveAjax.lastModified !== null )
+                baseAjax.headers['If-Modified-Since'] = dtSettings.liveAjax.lastModified;
+        }
+
+        // Store the data submitted for the API
+        dtSettings.oAjaxData = data;
+
+
+        // Fire the xhr callback if dtCallbacks is enabled
+        if ( _fnDtCallbackEnabled( dtSettings, 'preXhr' ) )
+            _fnCallbackFire( dtSettings, null, 'preXhr', [dtSettings, data] );
+
+        // Start timestamp for duration
+        xhrStart = new Date();
+
+        if ( dtSettings.fnServerData ) {
+            // DataTables 1.9- compatibility
+            dtSettings.jqXHR = _fnCallbackRequest( function ( respond ) {
+                return dtSettings.fnServerData.call( instance,
+                    dtSettings.sAjaxSource,
+                    $.map( data, function (val, key) { // Need to convert back to 1.9 trad format
+                        return { name: key, value: val };
+                    } ),
+                    respond,
+                    dtSettings
+                );
+            }, callback, dtSettings.liveAjax.callbackTimeout );
+        }
+        else if ( $.isFunction( ajax ) ) {
+            // Is a function - let the caller define what needs to be done
+            dtSettings.jqXHR = _fnCallbackRequest( function ( respond ) {
+                return ajax.call( instance, data, respond, dtSettings );
+            }, callback, dtSettings.liveAjax.callbackTimeout );
+        }
+        else {
+            // DataTables 1.9- compatibility for a string, otherwise an object to extend the base settings
+            // (merging any headers, rather than replacing them)
+            var requestSettings = dtSettings.sAjaxSource || typeof ajax === 'string'
+                ? $.extend( baseAjax, { url: ajax || dtSettings.sAjaxSource } )
+                : $.extend( baseAjax, ajax, { headers: $.extend( {}, baseAjax.headers, ajax.headers ) } );
+
+            // Made by $.ajax, fetch() or the liveAjax.requestWith function
+            dtSettings.jqXHR = dtSettings.liveAjax.requestWith === 'ajax'
+                ? $.ajax( requestSettings )
+                : _fnTransportRequest( dtSettings, dtSettings.liveAjax.requestWith, requestSettings, baseAjax.success, baseAjax.error );
+
+            // Restore for next time around
+            if ( $.isPlainObject( ajax ) )
+                ajax.data = ajaxData;
+        }
+
+        // LiveAjax Events..
+        dtSettings.jqXHR
+            // Success
+            .done( function ( json, textStatus, jqXHR ) {
+                // Remember the validators for the next conditional request
+                if ( dtSettings.liveAjax.ifModified === true && $.isFunction( jqXHR.getResponseHeader ) ) {
+                    dtSettings.liveAjax.etag = jqXHR.getResponseHeader('ETag') || dtSettings.liveAjax.etag;
+                    dtSettings.liveAjax.lastModified = jqXHR.getResponseHeader('Last-Modified') || dtSettings.liveAjax.lastModified;
+                }
+            } )
+            // Fail
+            .fail( function ( jqXHR, textStatus, errorThrown ) {
+                // Fire the xhr error-specific event
+                _fnCallbackFire( dtSettings, null, 'xhrErr' + _ucfirst( textStatus || 'unknown' ), [ dtSettings, dtSettings.jqXHR, errorThrown ], 'liveAjax' );
+
+                // Fire the general xhr error event
+                _fnCallbackFire( dtSettings, null, 'xhrErr', [ dtSettings, dtSettings.jqXHR, errorThrown ], 'liveAjax' );
+            } )
+            // Success & Fail
+            .always( function ( data_jqXHR, textStatus, jqXHR_errorThrown ) {
+                // Update the last result
+                dtSettings.liveAjax.lastResult = textStatus;
+
+                // Store the last iteration date
+                dtSettings.liveAjax.lastIteration = new Date();
+
+                // Increment the total iterations
+                dtSettings.liveAjax.totalIterations++;
+
+                // Update the duration to however long this took
+                dtSettings.liveAjax.lastDuration = new Date() - xhrStart;
+            } );
+    }
+
+    /**
+     * Update the record counts of a server-side processing table from the JSON
+     *
+     * @param   {object}    dtSettings  DataTables settings object
+     * @param   {object}    json        JSON returned from the server
+     * @returns {boolean}   True if either of the counts changed
+     */
+    function _fnUpdateRecordCounts( dtSettings, json ) {
+        // v1.10 uses camelCase variables, while 1.9 uses Hungarian notation
+        var total    = parseInt( json.iTotalRecords !== undefined ? json.iTotalRecords : json.recordsTotal, 10 ),
+            filtered = parseInt( json.iTotalDisplayRecords !== undefined ? json.iTotalDisplayRecords : json.recordsFiltered, 10 ),
+            changed  = false;
+
+        if ( ! isNaN( total ) && total !== dtSettings._iRecordsTotal ) {
+            dtSettings._iRecordsTotal = total;
+            changed = true;
+        }
+
+        if ( ! isNaN( filtered ) && filtered !== dtSettings._iRecordsDisplay ) {
+            dtSettings._iRecordsDisplay = filtered;
+            changed = true;
+        }
+
+        return changed;
+    }
+
+    /**
+     * Redraw the current page of a server-side processing table with the data it holds, rather
+     * than having DataTables request the page from the server again. The info and paging
+     * controls get updated along with it, and the user stays on the same page.
+     *
+     * @param {object}  dtSettings  DataTables settings object
+     */
+    function _fnDrawPage( dtSettings ) {
+        dtSettings.aiDisplay = dtSettings.aiDisplayMaster.slice();
+
+        // DataTables 1.10.11- checks bAjaxDataGet, newer versions check the ajaxComplete parameter
+        dtSettings.bAjaxDataGet = false;
+        $.fn.dataTable.ext.internal._fnDraw( dtSettings, true );
+        dtSettings.bAjaxDataGet = true;
+    }
+
+    /**
+     * Redraw the table after an update, as liveAjax.drawMode says; 'full' re-sorts and re-filters
+     * the rows, 'page' just redraws the current page with the rows as they are (unless rows were
+     * created, since those need sorting in), and 'none' leaves the drawing to the caller
+     *
+     * @param {object}  dtSettings      DataTables settings object
+     * @param {boolean} created         Rows were created (or replaced)
+     * @param {boolean} resetPaging     Send the user back to the first page, with a full redraw
+     */
+    function _fnRedraw( dtSettings, created, resetPaging ) {
+        if ( dtSettings.liveAjax.drawMode === 'none' )
+            return;
+
+        if ( dtSettings.oFeatures.bServerSide )
+            _fnDrawPage( dtSettings );
+        else if ( dtSettings.liveAjax.drawMode === 'page' && created !== true )
+            new $.fn.dataTable.Api( dtSettings ).draw( 'page' );
+        else
+            new $.fn.dataTable.Api( dtSettings ).draw( resetPaging );
+    }
+
+    /**
+     * Execute a function in the next animation frame, so the table is changed right before the
+     * browser paints. Hidden pages don't get animation frames, so a timeout is used for those
+     *
+     * @param {function}    fn  Function to execute
+     */
+    function _fnNextFrame( fn ) {
+        if ( typeof window.requestAnimationFrame === 'function' && document.visibilityState !== 'hidden' )
+            window.requestAnimationFrame( fn );
+        else
+            setTimeout( fn, 0 );
+    }
+
+    /**
+     * Count the rows a held change set would create, update and delete. Rows compared as a whole
+     * (without a key) are counted by their content, as created or deleted
+     *
+     * @param   {object}    dtSettings  DataTables settings object
+     * @param   {object}    change      The change set, as _processNewJson builds it
+     * @returns {object}    Number of rows to create, update and delete, and the total of those
+     */
+    function _fnPendingCounts( dtSettings, change ) {
+        var updates = change.updates,
+            diff;
+
+        if ( updates === null && change.replaceRows !== null ) {
+            diff = _fnDiffRows( dtSettings, new $.fn.dataTable.Api( dtSettings ).rows().data().toArray(), change.replaceRows, true );
+
+            // Just the order of the rows changed, if there are no updates
+            updates = diff !== false && diff.updates !== null
+                ? diff.updates
+                : { create: [], update: {}, delete: [] };
+        }
+
+        var counts = {
+            create: updates.create.length,
+            update: Object.keys( updates.update ).length,
+            delete: updates.delete.length
+        };
+
+        counts.total = counts.create + counts.update + counts.delete;
+
+        return counts;
+    }
+
+    /**
+     * Hold on to a change set (liveAjax.manualApply), or clear the held one (null), firing the
+     * pending.liveAjax event and updating the banner (liveAjax.pendingBanner)
+     *
+     * @param {object}      dtSettings  DataTables settings object
+     * @param {object|null} change      The change set, with its counts (see _fnPendingCounts)
+     */
+    function _fnSetPending( dtSettings, change ) {
+        var banner = dtSettings.liveAjax.banner;
+
+        // Nothing was held, and nothing will be
+        if ( change === null && dtSettings.liveAjax.pendingChange === null )
+            return;
+
+        dtSettings.liveAjax.pendingChange = change;
+
+        if ( dtSettings.liveAjax.pendingBanner === true ) {
+            // The banner is created when the first changes are held
+            if ( banner === null ) {
+                banner = dtSettings.liveAjax.banner = $( '<div class="liveAjax-pending" role="button" tabindex="0"></div>' )
+                    .on( 'click.liveAjax keydown.liveAjax', function ( e ) {
+                        // Enter or space, for keyboard users
+                        if ( e.type === 'keydown' && e.which !== 13 && e.which !== 32 )
+                            return;
+
+                        e.preventDefault();
+
+                        new $.fn.dataTable.Api( dtSettings ).liveAjax.applyPending();
+                    } )
+                    .prependTo( dtSettings.nTableWrapper );
+            }
+
+            if ( change === null )
+                banner.hide();
+            else
+                banner
+                    .text( dtSettings.liveAjax.pendingText
+                        .replace( /_TOTAL_/g, change.counts.total )
+                        .replace( /_CREATE_/g, change.counts.create )
+                        .replace( /_UPDATE_/g, change.counts.update )
+                        .replace( /_DELETE_/g, change.counts.delete ) )
+                    .show();
+        }
+
+        _fnCallbackFire( dtSettings, null, 'pending', [ dtSettings, change !== null ? change.counts : null ], 'liveAjax' );
+    }
+
+    /**
+     * Drop the changes held by liveAjax.manualApply, moving what the next responses are compared to on to the
+     * JSON they came from, so they aren't held again. The table is left behind that JSON (liveAjax.discarded),
+     * so the changes applied after are reconciled with the rows it has (see _applyChanges), until its rows are
+     * replaced as a whole. Server-side processing tables compare the page with the rows the table has, so
+     * that's compared with the discarded rows instead, until the table is redrawn
+     *
+     * @param {object}  dtSettings  DataTables settings object
+     */
+    function _fnDiscardPending( dtSettings ) {
+        var change = dtSettings.liveAjax.pendingChange;
+
+        dtSettings.liveAjax.applyQueued = false;
+
+        if ( change === null )
+            return;
+
+        _fnSetPending( dtSettings, null );
+
+        dtSettings.liveAjax.discarded = { draw: change.draw, data: change.data };
+
+        if ( dtSettings.oFeatures.bServerSide )
+            return;
+
+        if ( change.cache !== null ) {
+            dtSettings.liveAjax.diffCache = change.cache;
+            dtSettings.liveAjax.workerBase = change.workerId;
+        }
+
+        if ( dtSettings.liveAjax.delta === true && change.version !== undefined )
+            dtSettings.liveAjax.version = change.version;
+
+        dtSettings.liveAjax.previousJson = change.json;
+        dtSettings.liveAjax.previousData = change.data;
+    }
+
+    /**
+     * Deep copy of a row (an object or an array)
+     *
+     * @param   {object|array}  row     Row data
+     * @returns {object|array}  Copy of the row
+     */
+    function _fnCopyRow( row ) {
+        return $.extend( true, $.isArray( row ) ? [] : {}, row );
+    }
+
+    /**
+     * Hand the change set to the beforeUpdate.liveAjax event and the liveAjax.beforeUpdate callback
+     * before it gets applied. Either can veto it (returning false, or preventing the event's
+     * default), drop some of the created/updated/deleted rows, change the row data in place, or
+     * return a new change set
+     *
+     * @param   {object}    dtSettings  DataTables settings object
+     * @param   {object}    change      The change set, as _processNewJson builds it
+     * @returns {boolean}   False if the changes were vetoed
+     */
+    function _fnBeforeUpdate( dtSettings, change ) {
+        var callback = dtSettings.liveAjax.callbacks.beforeUpdate,
+            updates = change.updates,
+            before = null,
+            result;
+
+        // What the change set held, to tell which rows were dropped
+        if ( updates !== null && change.replaceRows === null ) {
+            before = {
+                create: updates.create,
+                createKeys: change.createKeys,
+                update: $.extend( {}, updates.update ),
+                changes: $.extend( {}, updates.changes ),
+                delete: updates.delete.slice()
+            };
+
+            // The rows are copied, so changing them leaves the rows the next update is compared to the way the
+            // server sent them
+            updates.create = $.map( updates.create, function ( row ) {
+                return [ _fnCopyRow( row ) ];
+            } );
+
+            $.each( updates.update, function ( key, row ) {
+                updates.update[ key ] = _fnCopyRow( row );
+            } );
+
+            before.copies = updates.create.slice();
+        }
+
+        result = _fnCallbackFire( dtSettings, null, 'beforeUpdate', [ dtSettings, updates, change.json, change.xhr ], 'liveAjax' ).pop();
+
+        if ( result === false )
+            return false;
+
+        if ( $.isPlainObject( result ) && updates !== null )
+            updates = result;
+
+        // Then the callback, with the change set the event handlers left
+        if ( callback !== undefined ) {
+            result = callback( updates, change.json, change.xhr );
+
+            if ( result === false )
+                return false;
+
+            if ( $.isPlainObject( result ) && updates !== null )
+                updates = result;
+        }
+
+        if ( updates === null )
+            return true;
+
+        updates = change.updates = $.extend( { create: [], update: {}, changes: {}, delete: [] }, updates );
+
+        // Rows replaced as a whole can only have their data changed
+        if ( change.replaceRows !== null )
+            return true;
+
+        // Server-side processing pages are compared to the rows in the table, rather than the last JSON
+        if ( ! dtSettings.oFeatures.bServerSide )
+            _fnSkipChanges( dtSettings, change, before );
+
+        // Every change was dropped
+        if ( updates.create.length === 0 && updates.delete.length === 0 && Object.keys( updates.update ).length === 0 )
+            change.updates = null;
+
+        return true;
+    }
+
+    /**
+     * Put the rows whose changes were dropped by the beforeUpdate callback/event back the way the
+     * table has them, in the rows the next update is compared to, so their changes come up again
+     * with the next update (unless the updates are deltas, which the server doesn't send again)
+     *
+     * @param {object}  dtSettings  DataTables settings object
+     * @param {object}  change      The change set, as _processNewJson builds it
+     * @param {object}  before      What the change set held before the beforeUpdate callback/event
+     */
+    function _fnSkipChanges( dtSettings, change, before ) {
+        var updates = change.updates,
+            previous = dtSettings.liveAjax.previousData,
+            cache = dtSettings.liveAjax.diffCache,
+            createKeys = [],
+            // Rows whose changes were dropped, and what they go back to (undefined for created rows)
+            dropped = [],
+            restored = [],
+            deleted = {},
+            readd = [],
+            data, prev, i;
+
+        // Created rows, keeping the keys of the ones left (for the rows of keyed objects)
+        $.each( before.copies, function ( i, row ) {
+            if ( $.inArray( row, updates.create ) === -1 ) {
+                dropped.push( before.create[ i ] );
+                restored.push( undefined );
+            }
+        } );
+
+        for ( i = 0; i < updates.create.length; i++ )
+            createKeys.push( before.createKeys !== undefined
+                ? before.createKeys[ $.inArray( updates.create[ i ], before.copies ) ]
+                : undefined );
+
+        change.createKeys = before.createKeys !== undefined ? createKeys : undefined;
+
+        // Updated rows
+        $.each( before.update, function ( key, row ) {
+            if ( updates.update[ key ] === undefined && before.changes[ key ] !== undefined ) {
+                dropped.push( row );
+                restored.push( before.changes[ key ].previous );
+            }
+        } );
+
+        // Deleted rows (a key can be listed more than once, when diffed by content)
+        $.each( updates.delete, function ( i, key ) {
+            deleted[ key ] = ( deleted[ key ] || 0 ) + 1;
+        } );
+
+        $.each( before.delete, function ( i, key ) {
+            if ( deleted[ key ] > 0 )
+                deleted[ key ]--;
+            else
+                readd.push( key );
+        } );
+
+        if ( dropped.length === 0 && readd.length === 0 )
+            return;
+
+        // The rows that were going to be deleted are found by the key (or hash) they were diffed by
+        if ( readd.length !== 0 && ! $.isPlainObject( previous ) ) {
+            prev = cache !== null && cache.source === previous && ( change.byContent ? cache.hashes !== null : cache.keys !== null )
+                ? cache
+                : _fnDiffSource( dtSettings, previous, change.byContent === true );
+
+            prev = { rows: prev.rows, keys: ( prev.keys || prev.hashes ).slice() };
+        }
+
+        if ( $.isPlainObject( change.data ) ) {
+            data = $.extend( {}, change.data );
+
+            $.each( Object.keys( data ), function ( i, key ) {
+                var pos = $.inArray( data[ key ], dropped );
+
+                if ( pos === -1 )
+                    return;
+
+                if ( restored[ pos ] === undefined )
+                    delete( data[ key ] );
+                else
+                    data[ key ] = restored[ pos ];
+            } );
+
+            $.each( readd, function ( i, key ) {
+                data[ key ] = previous[ key ];
+            } );
+        }
+        else {
+            data = [];
+
+            $.each( change.data, function ( i, row ) {
+                var pos = $.inArray( row, dropped );
+
+                if ( pos === -1 )
+                    data.push( row );
+                else if ( restored[ pos ] !== undefined )
+                    data.push( restored[ pos ] );
+            } );
+
+            $.each( readd, function ( i, key ) {
+                var pos = $.inArray( key, prev.keys );
+
+                if ( pos === -1 )
+                    return;
+
+                data.push( prev.rows[ pos ] );
+
+                // The next identical row, if the same hash is listed again
+                prev.keys[ pos ] = undefined;
+            } );
+        }
+
+        change.data = data;
+
+        // The rows were hashed before the changes were dropped, so the next diff hashes them again
+        change.cache = null;
+        change.workerId = null;
+    }
+
+    /**
+     * Flag rows to be highlighted as created or updated. The class is only added once the row
+     * is actually drawn (which may be after paging to it), and is then removed again after
+     * liveAjax.highlightDuration
+     *
+     * @param {object}  dtSettings  DataTables settings object
+     * @param {object}  rows        DataTables API instance holding the row(s)
+     * @param {string}  type        created or updated
+     */
+    function _fnHighlightRows( dtSettings, rows, type ) {
+        if ( dtSettings.liveAjax.highlight === false )
+            return;
+
+        rows.every( function () {
+            dtSettings.aoData[ this.index() ]._liveAjaxHighlight = dtSettings.liveAjax.highlightClasses[ type ];
+        } );
+    }
+
+    /**
+     * Add the highlight classes to any of the flagged rows that are on the current page
+     *
+     * @param {object}  dtSettings  DataTables settings object
+     */
+    function _fnDrawHighlights( dtSettings ) {
+        var api = new $.fn.dataTable.Api( dtSettings );
+
+        api.rows( { page: 'current' } ).every( function () {
+            var row = dtSettings.aoData[ this.index() ],
+                className = row._liveAjaxHighlight;
+
+            if ( className === undefined || row.nTr === null )
+                return;
+
+            delete( row._liveAjaxHighlight );
+
+            // Updated again before the previous highlight was over
+            clearTimeout( row._liveAjaxHighlightTimer );
+
+            $( row.nTr )
+                .removeClass( $.map( dtSettings.liveAjax.highlightClasses, function ( v ) { return v; } ).join(' ') )
+                .addClass( className )
+                .css( 'animation-duration', dtSettings.liveAjax.highlightDuration + 'ms' );
+
+            row._liveAjaxHighlightTimer = setTimeout( function () {
+                $( row.nTr )
+                    .removeClass( className )
+                    .css( 'animation-duration', '' );
+            }, dtSettings.liveAjax.highlightDuration );
+        } );
+    }
+
+    /**
+     * Remove deleted rows from the table. If liveAjax.fadeOutDeleted is set, the rows get the
+     * deleted highlight class first, and are removed after fading out (unless the table is
+     * destroyed meanwhile, see _fnStopRemovals)
+     *
+     * @param {object}  dtSettings  DataTables settings object
+     * @param {object}  rows        DataTables API instance holding the rows
+     */
+    function _fnRemoveRows( dtSettings, rows ) {
+        var removal = { timer: null };
+
+        if ( dtSettings.liveAjax.highlight === false || dtSettings.liveAjax.fadeOutDeleted <= 0 ) {
+            rows.remove();
+            return;
+        }
+
+        rows.every( function () {
+            var row = dtSettings.aoData[ this.index() ];
+
+            row._liveAjaxDelete = true;
+
+            if ( row.nTr !== null )
+                $( row.nTr )
+                    .addClass( dtSettings.liveAjax.highlightClasses.deleted )
+                    .css( 'animation-duration', dtSettings.liveAjax.fadeOutDeleted + 'ms' );
+        } );
+
+        dtSettings.liveAjax.removals.push( removal );
+
+        removal.timer = setTimeout( function _remove() {
+            var api;
+
+            // The table was destroyed meanwhile
+            if ( $.inArray( removal, dtSettings.liveAjax.removals ) === -1 )
+                return;
+
+            // The rows are being changed a chunk per frame (liveAjax.chunkSize), by indexes that removing rows
+            // would shift, so wait until they're done
+            if ( dtSettings.liveAjax.rendering === true ) {
+                _fnNextFrame( _remove );
+                return;
+            }
+
+            dtSettings.liveAjax.removals = $.grep( dtSettings.liveAjax.removals, function ( r ) {
+                return r !== removal;
+            } );
+
+            api = new $.fn.dataTable.Api( dtSettings );
+
+            // The indexes may have changed since, so find them by the flag
+            api.rows( function ( idx ) {
+                return dtSettings.aoData[ idx ]._liveAjaxDelete === true;
+            } ).remove();
+
+            _fnRedraw( dtSettings, false, false );
+        }, dtSettings.liveAjax.fadeOutDeleted );
+    }
+
+    /**
+     * Cancel removing the rows that are fading out (see _fnRemoveRows), for when the table is destroyed
+     *
+     * @param {object}  dtSettings  DataTables settings object
+     */
+    function _fnStopRemovals( dtSettings ) {
+        $.each( dtSettings.liveAjax.removals, function ( i, removal ) {
+            clearTimeout( removal.timer );
+        } );
+
+        dtSettings.liveAjax.removals = [];
+    }
+
+    /**
+     * Get a hash of a string, used to identify rows by their content. Its made up of two 32 bit
+     * hashes (djb2 and sdbm), so collisions are unlikely even with large data sets
+     *
+     * @param   {string}    str     String to hash
+     * @returns {string}    Hash, in base 36
+     */
+    function _fnHash( str ) {
+        var djb2 = 5381,
+            sdbm = 0,
+            chr;
+
+        for ( var i = 0; i < str.length; i++ ) {
+            chr  = str.charCodeAt( i );
+            djb2 = ( ( djb2 << 5 ) + djb2 + chr ) | 0;
+            sdbm = ( chr + ( sdbm << 6 ) + ( sdbm << 16 ) - sdbm ) | 0;
+        }
+
+        return ( djb2 >>> 0 ).toString( 36 ) + '-' + ( sdbm >>> 0 ).toString( 36 );
+    }
+
+    /**
+     * Get the key identifying a row when saving and restoring the user state; the row key
+     * (see _fnRowKey) if the row has one, otherwise a hash of the row content
+     *
+     * @param   {object}    dtSettings  DataTables settings object
+     * @param   {number}    idx         Row index
+     * @returns {string}
+     */
+    function _fnStateKey( dtSettings, idx ) {
+        return _fnRowKey( dtSettings, idx ) !== undefined
+            ? 'id:' + _fnRowKey( dtSettings, idx )
+            : 'hash:' + _fnHash( JSON.stringify( dtSettings.aoData[ idx ]._aData ) );
+    }
+
+    /**
+     * Save what the user was doing with the table; the selected rows (Select extension), the
+     * rows with their child rows shown, the focused element and the scroll position, so it can
+     * all be restored after the table is updated
+     *
+     * @param   {object}    dtSettings  DataTables settings object
+     * @returns {object}    State to hand to _fnRestoreState
+     */
+    function _fnSaveState( dtSettings ) {
+        var api = new $.fn.dataTable.Api( dtSettings ),
+            focused = $( document.activeElement ).closest( 'td, th', dtSettings.nTBody ),
+            state = {
+                selected: {},
+                children: {},
+                focus: null,
+                scroll: null
+            };
+
+        // Selected rows, if the Select extension is loaded
+        if ( $.isFunction( api.rows().select ) )
+            api.rows( { selected: true } ).every( function () {
+                state.selected[ _fnStateKey( dtSettings, this.index() ) ] = true;
+            } );
+
+        // Shown child rows (kept as nodes, so they can just be shown again)
+        $.each( dtSettings.aoData, function ( i, row ) {
+            if ( row._detailsShow === true )
+                state.children[ _fnStateKey( dtSettings, i ) ] = api.row( i ).child();
+        } );
+
+        // The focused cell, or element within a cell
+        if ( focused.length !== 0 && api.cell( focused ).index() !== undefined ) {
+            state.focus = {
+                row: _fnStateKey( dtSettings, api.cell( focused ).index().row ),
+                column: api.cell( focused ).index().column,
+                element: focused.is( document.activeElement )
+                    ? -1
+                    : focused.find( 'input, select, textarea, button, a, [tabindex], [contenteditable]' ).index( document.activeElement )
+            };
+        }
+
+        // Scroll position of scrollY/scrollX tables
+        if ( dtSettings.nScrollBody )
+            state.scroll = {
+                top: dtSettings.nScrollBody.scrollTop,
+                left: dtSettings.nScrollBody.scrollLeft
+            };
+
+        return state;
+    }
+
+    /**
+     * Restore the user state saved by _fnSaveState, for any rows that are still there
+     *
+     * @param {object}  dtSettings  DataTables settings object
+     * @param {object}  state       State returned from _fnSaveState
+     */
+    function _fnRestoreState( dtSettings, state ) {
+        var api = new $.fn.dataTable.Api( dtSettings ),
+            selected = $.isEmptyObject( state.selected ) ? [] : api.rows( { selected: true } ).indexes().toArray(),
+            select = [];
+
+        // Only hash the rows when there's something to restore
+        if ( ! $.isEmptyObject( state.selected ) || ! $.isEmptyObject( state.children ) || state.focus !== null )
+            $.each( dtSettings.aoData, function ( i, row ) {
+                var key = _fnStateKey( dtSettings, i );
+
+                if ( state.selected[ key ] === true && $.inArray( i, selected ) === -1 )
+                    select.push( i );
+
+                if ( state.children[ key ] !== undefined && row._detailsShow !== true )
+                    api.row( i ).child( state.children[ key ] ).show();
+
+                if ( state.focus !== null && state.focus.row === key )
+                    state.focus.index = i;
+            } );
+
+        if ( select.length !== 0 )
+            api.rows( select ).select();
+
+        // Only re-focus if the focus was lost
+        if ( state.focus !== null && state.focus.index !== undefined && ! $.contains( dtSettings.nTable, document.activeElement ) ) {
+            var cell = $( api.cell( state.focus.index, state.focus.column ).node() );
+
+            ( state.focus.element === -1
+                ? cell
+                : cell.find( 'input, select, textarea, button, a, [tabindex], [contenteditable]' ).eq( state.focus.element )
+            ).focus();
+        }
+
+        if ( state.scroll !== null ) {
+            dtSettings.nScrollBody.scrollTop = state.scroll.top;
+            dtSettings.nScrollBody.scrollLeft = state.scroll.left;
+        }
+    }
+
+    /**
+     * Check if an XHR request is ok to execute, based on the status of the XHR readyState
+     *
+     * @param {object} dtSettings dataTables settings object
+     */
+    function _isXhrClear( dtSettings ){
+        return (dtSettings.jqXHR === undefined || $.inArray(dtSettings.jqXHR.readyState, [ XHR_STATE_COMPLETE, XHR_STATE_NOT_INIT ]) !== -1 )
+    }
+
+    /**
+     * Initialize the updates for a DT instance, using the settings stored in the liveAjax
+     * namespace for said table. Depending on the transport, this either starts the
+     * setTimeout loop, or opens the push channel
+     *
+     * @param {object} dtSettings dataTables settings object
+     */
+    function _initUpdates( dtSettings ){
+        // Prevent any duplicating of the loop (or the push channel, including one about to be re-opened)
+        if ( ! _isXhrClear( dtSettings ) || dtSettings.liveAjax.channel !== null || dtSettings.liveAjax.tabs !== null
+                || dtSettings.liveAjax.reconnectTimer !== null || dtSettings.liveAjax.connection === 'reconnecting'
+                || _fnSourceJoined( dtSettings ) ){
+            console.warn('liveAjax already initiated for table #' + dtSettings.nTable.id);
+            return;
+        }
+
+        // Another table polls the source this one shares, and hands it the responses
+        if ( dtSettings.liveAjax.source !== null && ! _fnSourceJoin( dtSettings ) )
+            _setConnectionState( dtSettings, 'following' );
+        else
+            _fnStartUpdates( dtSettings );
+
+        _fnCallbackFire( dtSettings, null, 'init', [ dtSettings, dtSettings.jqXHR ], 'liveAjax' );
+    }
+
+    /**
+     * Start retrieving the updates, depending on the transport; polling (or sharing the polling with
+     * the other tabs), or opening the push channel
+     *
+     * @param {object}  dtSettings  dataTables settings object
+     * @param {integer} delay       Milliseconds until the first poll (defaults to the interval)
+     */
+    function _fnStartUpdates( dtSettings, delay ){
+        if ( dtSettings.liveAjax.transport === 'poll' && dtSettings.liveAjax.shareTabs !== false )
+            _initTabs( dtSettings );
+        else if ( dtSettings.liveAjax.transport === 'poll' )
+            _initLoop( dtSettings, delay );
+        else
+            _initPush( dtSettings );
+    }
+
+    /**
+     * Start the self-invoking setTimeout loop that polls the AJAX source
+     *
+     * @param {object}  dtSettings  dataTables settings object
+     * @param {integer} delay       Milliseconds until the first poll (defaults to the interval)
+     */
+    function _initLoop( dtSettings, delay ){
+        // Tells this loop apart from any loop started after it (while its last request was in progress)
+        var run = ++dtSettings.liveAjax.loopRun;
+
+        _setConnectionState( dtSettings, 'polling' );
+
+        dtSettings.liveAjax.looping = true;
+
+        // The self-invoking _doTimeout function executes itself when the timeout is reached
+        (function _doTimeout( delay ) {
+            dtSettings.liveAjax.updateLoop = setTimeout(function(){
+                // Fire off the reload method (even while paused, if the other tables sharing the source aren't)...
+                dtSettings.liveAjax.initReload(
+                    // Execute the next loop iteration function on the xhr.always() callback
+                    function( polledDtSettings, skipped ){
+                        // The loop was stopped (or restarted) while the request was in progress
+                        if ( polledDtSettings.liveAjax.looping !== true || polledDtSettings.liveAjax.loopRun !== run )
+                            return;
+
+                        // No request was made (paused, or one was already in progress), so the last result is
+                        // still that of an earlier iteration, which was already retried (or not) for
+                        if ( skipped === true ) {
+                            _doTimeout( _fnPollInterval( polledDtSettings ) );
+                            return;
+                        }
+
+                        // The request failed because the browser went offline (possibly before it noticed), so keep
+                        // going, paused until it's back online (liveAjax.whenOffline)
+                        if ( polledDtSettings.liveAjax.whenOffline !== false
+                                && $.inArray( polledDtSettings.liveAjax.lastResult, polledDtSettings.liveAjax.abortOn ) !== -1
+                                && ( polledDtSettings.liveAjax.offline === true || window.navigator.onLine === false ) ) {
+                            _setOfflineStatus( polledDtSettings, true );
+
+                            _doTimeout( _fnPollInterval( polledDtSettings ) );
+                        }
+                        // On success (or 304 Not Modified), fire off the next setTimeout interval
+                        else if ( polledDtSettings.liveAjax.lastResult === 'notmodified'
+                                || $.inArray( polledDtSettings.liveAjax.lastResult, polledDtSettings.liveAjax.abortOn ) === -1 ) {
+                            polledDtSettings.liveAjax.retryCount = 0;
+
+                            _doTimeout( _fnPollInterval( polledDtSettings ) );
+                        }
+                        // Abortable status, but there are retries left - back off, then try again
+                        else if ( polledDtSettings.liveAjax.retryCount < polledDtSettings.liveAjax.retryAttempts ) {
+                            var backoff = _fnRetryDelay( polledDtSettings, ++polledDtSettings.liveAjax.retryCount ),
+                                // Don't retry any sooner than the server asked to (e.g. a Retry-After header)
+                                asked = polledDtSettings.liveAjax.adaptive === true
+                                    ? _fnServerInterval( polledDtSettings, polledDtSettings.jqXHR, null )
+                                    : null;
+
+                            if ( asked !== null )
+                                backoff = Math.max( backoff, Math.round( asked ) );
+
+                            _fnCallbackFire( polledDtSettings, null, 'retry', [ polledDtSettings, polledDtSettings.liveAjax.retryCount, backoff, polledDtSettings.liveAjax.lastResult ], 'liveAjax' );
+
+                            _doTimeout( backoff );
+                        }
+                        else {
+                            polledDtSettings.liveAjax.looping = false;
+
+                            // The requests failed because the browser went offline (liveAjax.whenOffline being false),
+                            // so the loop is started again once it's back online
+                            if ( polledDtSettings.liveAjax.offline === true || window.navigator.onLine === false ) {
+                                polledDtSettings.liveAjax.stoppedOffline = true;
+
+                                _setOfflineStatus( polledDtSettings, true );
+                            }
+
+                            _fnCallbackFire( polledDtSettings, null, 'giveUp', [ polledDtSettings, polledDtSettings.liveAjax.retryCount, polledDtSettings.liveAjax.lastResult ], 'liveAjax' );
+
+                            _fnLog( polledDtSettings, 0, '[liveAjax] Abortable status retrieved from last XHR request (' + polledDtSettings.liveAjax.lastResult + ') - aborting updates', false );
+                        }
+                    },
+                    ! _fnSourcePaused( dtSettings ) );
+            }, delay)
+        })( delay === undefined ? _fnPollInterval( dtSettings ) : delay );
+    }
+
+    /**
+     * Calculate how long to back off for before a retry; the liveAjax.retryDelay doubles with
+     * every attempt (capped at liveAjax.retryMaxDelay), then a random liveAjax.retryJitter
+     * portion of it is taken off, so multiple clients don't all retry at the same moment
+     *
+     * @param   {object}    dtSettings  dataTables settings object
+     * @param   {integer}   attempt     Number of the retry attempt (starting at 1)
+     * @returns {integer}   Delay in milliseconds
+     */
+    function _fnRetryDelay( dtSettings, attempt ){
+        var delay = Math.min(
+            dtSettings.liveAjax.retryDelay * Math.pow( 2, attempt - 1 ),
+            dtSettings.liveAjax.retryMaxDelay
+        );
+
+        return Math.round( delay * ( 1 - dtSettings.liveAjax.retryJitter * Math.random() ) );
+    }
+
+    /**
+     * Get the URL for the push channel. This is the liveAjax.pushUrl setting, or the URL of
+     * the DataTables ajax source. WebSocket URLs are made absolute, with the http(s) scheme
+     * swapped for ws(s)
+     *
+     * @param   {object}    dtSettings  dataTables settings object
+     * @returns {string}    URL to open the EventSource or WebSocket with
+     */
+    function _fnPushUrl( dtSettings ){
+        var ajax = dtSettings.ajax,
+            url  = dtSettings.liveAjax.pushUrl
+                || ( typeof ajax === 'string' ? ajax : ( $.isPlainObject( ajax ) && ajax.url ) )
+                || dtSettings.sAjaxSource;
+
+        if ( ! url )
+            throw new Error('Unable to determine the push URL, set the liveAjax.pushUrl setting');
+
+        if ( dtSettings.liveAjax.transport === 'websocket' && ! /^wss?:/i.test( url ) ) {
+            // Let the browser resolve any relative URL
+            var anchor = document.createElement('a');
+
+            anchor.href = url;
+            url = anchor.href.replace( /^http/i, 'ws' );
+        }
+
+        return url;
+    }
+
+    /**
+     * Open the push channel (EventSource or WebSocket) for a DT instance, and feed every
+     * message pushed through it into the same JSON processing the polling loop uses. If
+     * the channel drops, it will be re-opened after liveAjax.reconnectDelay; if it can't
+     * be opened at all, liveAjax falls back to polling
+     *
+     * @param {object} dtSettings dataTables settings object
+     */
+    function _initPush( dtSettings ){
+        var opened = false,
+            channel;
+
+        dtSettings.liveAjax.reconnectTimer = null;
+
+        try {
+            channel = dtSettings.liveAjax.transport === 'sse'
+                ? new window.EventSource( _fnPushUrl( dtSettings ) )
+                : new window.WebSocket( _fnPushUrl( dtSettings ) );
+        }
+        // Transport not supported by the browser, or a malformed URL
+        catch( err ) {
+            dtSettings.liveAjax.latestError = err.message;
+            _fallbackToPolling( dtSettings );
+            return;
+        }
+
+        dtSettings.liveAjax.channel = channel;
+
+        _setConnectionState( dtSettings, dtSettings.liveAjax.reconnectCount === 0 ? 'connecting' : 'reconnecting' );
+
+        channel.onopen = function(){
+            opened = true;
+            dtSettings.liveAjax.pushOpened = true;
+            dtSettings.liveAjax.reconnectCount = 0;
+
+            _setConnectionState( dtSettings, 'open' );
+        };
+
+        channel.onmessage = function( e ){
+            var json;
+
+            try {
+                json = JSON.parse( e.data );
+            }
+            catch( err ) {
+                dtSettings.liveAjax.latestError = err.message;
+                _fnLog( dtSettings, 1, 'Unable to parse the JSON pushed through the ' + dtSettings.liveAjax.transport + ' channel' );
+                return;
+            }
+
+            _fnReceiveJson( dtSettings, json, channel );
+            _fnSourceRelay( dtSettings, json, channel );
+        };
+
+        // WebSockets fire error and then close, EventSource only fires error (and re-connects
+        // on its own unless its readyState is CLOSED)
+        channel.onerror = channel.onclose = function(){
+            // Already handled, or closed on purpose
+            if ( dtSettings.liveAjax.channel !== channel )
+                return;
+
+            if ( channel.readyState !== channel.CLOSED ) {
+                _setConnectionState( dtSettings, 'reconnecting' );
+                return;
+            }
+
+            dtSettings.liveAjax.channel = null;
+
+            // Never opened, or gave up trying to re-open it
+            if ( ! opened && ( ! dtSettings.liveAjax.pushOpened
+                    || dtSettings.liveAjax.reconnectCount >= dtSettings.liveAjax.reconnectAttempts ) ) {
+                _fallbackToPolling( dtSettings );
+                return;
+            }
+
+            dtSettings.liveAjax.reconnectCount++;
+
+            _setConnectionState( dtSettings, 'reconnecting' );
+
+            dtSettings.liveAjax.reconnectTimer = setTimeout( function(){
+                _initPush( dtSettings );
+            }, dtSettings.liveAjax.reconnectDelay );
+        };
+    }
+
+    /**
+     * Close the push channel of a DT instance (if one is open), and cancel any pending
+     * re-connect
+     *
+     * @param {object} dtSettings dataTables settings object
+     */
+    function _closePush( dtSettings ){
+        var channel = dtSettings.liveAjax.channel;
+
+        clearTimeout( dtSettings.liveAjax.reconnectTimer );
+
+        dtSettings.liveAjax.reconnectTimer = null;
+        dtSettings.liveAjax.channel = null;
+
+        if ( channel !== null ) {
+            channel.onopen = channel.onmessage = channel.onerror = channel.onclose = null;
+            channel.close();
+        }
+
+        if ( dtSettings.liveAjax.transport !== 'poll' )
+            _setConnectionState( dtSettings, 'closed' );
+    }
+
+    /**
+     * Give up on the push channel and poll the AJAX source instead
+     *
+     * @param {object} dtSettings dataTables settings object
+     */
+    function _fallbackToPolling( dtSettings ){
+        _fnLog( dtSettings, 1, 'Unable to open the ' + dtSettings.liveAjax.transport + ' channel - falling back to polling' );
+
+        dtSettings.liveAjax.transport = 'poll';
+
+        _initLoop( dtSettings );
+    }
+
+    /**
+     * Update the connection state of a DT instance
+     *
+     * @param {object}  dtSettings  DataTables settings object
+     * @param {string}  state       One of: connecting, open, reconnecting, closed, polling
+     */
+    function _setConnectionState( dtSettings, state ){
+        if ( dtSettings.liveAjax.connection === state )
+            return;
+
+        dtSettings.liveAjax.connection = state;
+
+        _fnCallbackFire( dtSettings, null, 'connection', [ dtSettings, state, dtSettings.liveAjax.transport ], 'liveAjax' );
+    }
+
+    /**
+     * Open the channel the tabs sharing a source talk through; a BroadcastChannel, or where there
+     * isn't any, localStorage (each message is written to the key and removed right away, which
+     * fires a storage event in the other tabs)
+     *
+     * @param   {string}    name        Name of the channel
+     * @param   {function}  onMessage   Executed with each message from the other tabs
+     * @returns {object}    post( message ), returning the error the message couldn't be sent with
+     *                      (null if it was), and close()
+     */
+    function _fnTabChannel( name, onMessage ){
+        var channel,
+            listener;
+
+        if ( $.isFunction( window.BroadcastChannel ) ) {
+            channel = new window.BroadcastChannel( name );
+
+            channel.onmessage = function ( e ) {
+                onMessage( e.data );
+            };
+
+            return {
+                post: function ( message ) {
+                    channel.postMessage( message );
+
+                    return null;
+                },
+                close: function () {
+                    channel.close();
+                }
+            };
+        }
+
+        listener = function ( e ) {
+            var message;
+
+            if ( e.originalEvent.key !== name || ! e.originalEvent.newValue )
+                return;
+
+            try {
+                message = JSON.parse( e.originalEvent.newValue ).message;
+            }
+            catch( err ) {
+                return;
+            }
+
+            onMessage( message );
+        };
+
+        $( window ).on( 'storage', listener );
+
+        return {
+            post: function ( message ) {
+                try {
+                    window.localStorage.setItem( name, JSON.stringify( { message: message, nonce: Math.random() } ) );
+                    window.localStorage.removeItem( name );
+                }
+                // Storage is disabled, or the message is over the quota
+                catch( err ) {
+                    return err;
+                }
+
+                return null;
+            },
+            close: function () {
+                $( window ).off( 'storage', listener );
+            }
+        };
+    }
+
+    /**
+     * Get the name of the channel shared by the tabs; the liveAjax.shareTabs string, or when it's
+     * true, the method, absolute URL and (static) data of the DataTables ajax source, so only the
+     * tabs making the same request share it. Requests made by a function (an ajax function, ajax.data
+     * function or fnServerData) can't be told apart, so there's no name for those (null)
+     *
+     * @param   {object}        dtSettings  dataTables settings object
+     * @returns {string|null}
+     */
+    function _fnTabChannelName( dtSettings ){
+        var ajax = dtSettings.ajax,
+            data = $.isPlainObject( ajax ) ? ajax.data : undefined,
+            anchor;
+
+        if ( dtSettings.liveAjax.shareTabs !== true )
+            return dtSettings.liveAjax.shareTabs;
+
+        if ( $.isFunction( ajax ) || $.isFunction( data ) || dtSettings.fnServerData )
+            return null;
+
+        // Let the browser resolve any relative URL, so pages at different paths share the same source
+        anchor = document.createElement('a');
+        anchor.href = ( typeof ajax === 'string' ? ajax : ( $.isPlainObject( ajax ) && ajax.url ) )
+            || dtSettings.sAjaxSource
+            || window.location.href;
+
+        return ( ( $.isPlainObject( ajax ) && ( ajax.type || ajax.method ) ) || 'GET' ).toUpperCase()
+            + ' ' + anchor.href
+            + ( data ? ' ' + ( typeof data === 'string' ? data : $.param( data ) ) : '' );
+    }
+
+    /**
+     * Share the polling with the other tabs polling the same source (liveAjax.shareTabs); one tab
+     * (the leader) polls, relaying each response to the others (the followers), which process it
+     * as if they polled it themselves. The leader sends a heartbeat every liveAjax.tabHeartbeat. A
+     * follower claims the lead once those stop (or the leader resigned, when its page was closed),
+     * or say the leader is inactive while the follower isn't. Concurrent claims are won by an
+     * active tab over an inactive one, then by the lowest id
+     *
+     * @param {object} dtSettings dataTables settings object
+     */
+    function _initTabs( dtSettings ){
+        var namespace = '.liveAjax-' + dtSettings.sInstance,
+            tabs = dtSettings.liveAjax.tabs = {
+                id: new Date().getTime().toString( 36 ) + Math.random().toString( 36 ).substr( 2, 8 ),
+                role: null,
+                channel: null,
+                // When the leader was last heard from, and whether it was active then
+                leaderSeen: 0,
+                leaderActive: true,
+                // The JSON couldn't be relayed to the followers (see _fnTabRelay)
+                relayFailed: false,
+                claimTimer: null,
+                timer: null
+            };
+
+        tabs.channel = _fnTabChannel( 'liveAjax:' + _fnTabChannelName( dtSettings ), function ( message ) {
+            if ( dtSettings.liveAjax.tabs === tabs )
+                _fnTabMessage( dtSettings, message );
+        } );
+
+        _fnSetTabRole( dtSettings, 'follower' );
+
+        // Give the leader (if there is one) a heartbeat to answer with, before claiming the lead
+        tabs.leaderSeen = new Date().getTime() - dtSettings.liveAjax.tabHeartbeat * 2;
+
+        _fnTabPost( dtSettings, 'hello' );
+
+        (function _tick() {
+            _fnTabTick( dtSettings );
+
+            tabs.timer = setTimeout( _tick, dtSettings.liveAjax.tabHeartbeat );
+        })();
+
+        // Hand over the lead when the page is closed, and rejoin if it's restored from the back/forward cache
+        $( window )
+            .off( 'pagehide' + namespace + ' pageshow' + namespace )
+            .on( 'pagehide' + namespace, function () {
+                _leaveTabs( dtSettings, true );
+            } )
+            .on( 'pageshow' + namespace, function ( e ) {
+                if ( e.originalEvent.persisted && dtSettings.liveAjax.tabs === null )
+                    _initTabs( dtSettings );
+            } );
+    }
+
+    /**
+     * Stop sharing the polling with the other tabs, resigning the lead (if this tab had it), so
+     * one of the followers takes over right away
+     *
+     * @param {object}  dtSettings  dataTables settings object
+     * @param {boolean} pageHidden  The page is being closed (keep listening for it to be restored)
+     */
+    function _leaveTabs( dtSettings, pageHidden ){
+        var tabs = dtSettings.liveAjax.tabs;
+
+        if ( pageHidden !== true )
+            $( window ).off( 'pagehide.liveAjax-' + dtSettings.sInstance + ' pageshow.liveAjax-' + dtSettings.sInstance );
+
+        if ( tabs === null )
+            return;
+
+        clearTimeout( tabs.timer );
+        clearTimeout( tabs.claimTimer );
+
+        if ( tabs.role === 'leader' ) {
+            _fnTabPost( dtSettings, 'resign' );
+
+            clearTimeout( dtSettings.liveAjax.updateLoop );
+            dtSettings.liveAjax.looping = false;
+        }
+
+        tabs.channel.close();
+
+        dtSettings.liveAjax.tabs = null;
+    }
+
+    /**
+     * Send a message to the other tabs sharing the source
+     *
+     * @param   {object}        dtSettings  dataTables settings object
+     * @param   {string}        type        hello, heartbeat, json, poll, claim or resign
+     * @param   {object}        json        JSON to relay (json messages)
+     * @returns {Error|null}    Error the message couldn't be sent with, null if it was sent
+     */
+    function _fnTabPost( dtSettings, type, json ){
+        var tabs = dtSettings.liveAjax.tabs,
+            message = { type: type, id: tabs.id, active: _fnTabActive( dtSettings ) };
+
+        if ( json !== undefined )
+            message.json = json;
+
+        return tabs.channel.post( message );
+    }
+
+    /**
+     * Check if this tab is active; visible, and the updates aren't paused (manually, or because
+     * the user is idle)
+     *
+     * @param   {object}    dtSettings  dataTables settings object
+     * @returns {boolean}
+     */
+    function _fnTabActive( dtSettings ){
+        return document.hidden !== true
+            && dtSettings.liveAjax.inactive.idle !== true
+            && dtSettings.liveAjax.paused !== true;
+    }
+
+    /**
+     * Check if a tab would win the lead over this one; an active tab wins over an inactive one,
+     * otherwise the lowest id wins
+     *
+     * @param   {object}    dtSettings  dataTables settings object
+     * @param   {object}    message     Message from the other tab
+     * @returns {boolean}
+     */
+    function _fnTabOutranks( dtSettings, message ){
+        var active = _fnTabActive( dtSettings );
+
+        return message.active !== active
+            ? message.active === true
+            : message.id < dtSettings.liveAjax.tabs.id;
+    }
+
+    /**
+     * Check on the leader every liveAjax.tabHeartbeat; send the heartbeat if this tab is the leader,
+     * otherwise claim the lead if the leader is gone (no heartbeat for 3 heartbeats), or is inactive
+     * while this tab isn't
+     *
+     * @param {object} dtSettings dataTables settings object
+     */
+    function _fnTabTick( dtSettings ){
+        var tabs = dtSettings.liveAjax.tabs;
+
+        if ( tabs.role === 'leader' )
+            _fnTabPost( dtSettings, 'heartbeat' );
+        else if ( tabs.claimTimer === null
+                && ( new Date().getTime() - tabs.leaderSeen >= dtSettings.liveAjax.tabHeartbeat * 3
+                    || ( tabs.leaderActive === false && _fnTabActive( dtSettings ) ) ) )
+            _fnTabClaim( dtSettings );
+    }
+
+    /**
+     * Claim the lead, taking it unless another tab objects in time (see _fnTabMessage)
+     *
+     * @param {object} dtSettings dataTables settings object
+     */
+    function _fnTabClaim( dtSettings ){
+        var tabs = dtSettings.liveAjax.tabs;
+
+        _fnTabPost( dtSettings, 'claim' );
+
+        tabs.claimTimer = setTimeout( function () {
+            tabs.claimTimer = null;
+
+            _fnSetTabRole( dtSettings, 'leader' );
+        }, _tabClaimWait );
+    }
+
+    /**
+     * Handle a message from another tab sharing the source
+     *
+     * @param {object}  dtSettings  dataTables settings object
+     * @param {object}  message     type, id and active of the tab, and the json (json messages)
+     */
+    function _fnTabMessage( dtSettings, message ){
+        var tabs = dtSettings.liveAjax.tabs,
+            now = new Date().getTime();
+
+        if ( ! $.isPlainObject( message ) || message.id === tabs.id )
+            return;
+
+        // A tab that just opened, looking for the leader
+        if ( message.type === 'hello' ) {
+            if ( tabs.role === 'leader' )
+                _fnTabPost( dtSettings, 'heartbeat' );
+        }
+        // Another tab wants the lead; the leader hands it over to a tab that outranks it (and objects
+        // otherwise), and a tab claiming it backs off
+        else if ( message.type === 'claim' ) {
+            if ( tabs.role === 'leader' && ! _fnTabOutranks( dtSettings, message ) ) {
+                _fnTabPost( dtSettings, 'heartbeat' );
+                return;
+            }
+
+            if ( tabs.claimTimer !== null && ! _fnTabOutranks( dtSettings, message ) )
+                return;
+
+            clearTimeout( tabs.claimTimer );
+            tabs.claimTimer = null;
+            tabs.leaderSeen = now;
+            tabs.leaderActive = message.active === true;
+
+            _fnSetTabRole( dtSettings, 'follower' );
+        }
+        // The leader left, so take over right away
+        else if ( message.type === 'resign' ) {
+            if ( tabs.role === 'follower' && tabs.claimTimer === null )
+                _fnTabClaim( dtSettings );
+        }
+        else if ( message.type === 'heartbeat' || message.type === 'json' || message.type === 'poll' ) {
+            // Two leaders (both claimed it at once, or a throttled tab missed the claim); the one
+            // outranked steps down
+            if ( tabs.role === 'leader' ) {
+                if ( ! _fnTabOutranks( dtSettings, message ) )
+                    return;
+
+                _fnSetTabRole( dtSettings, 'follower' );
+            }
+
+            tabs.leaderSeen = now;
+            tabs.leaderActive = message.active === true;
+
+            // Back off, unless taking over from an inactive leader
+            if ( tabs.claimTimer !== null && ( tabs.leaderActive || ! _fnTabActive( dtSettings ) ) ) {
+                clearTimeout( tabs.claimTimer );
+                tabs.claimTimer = null;
+            }
+
+            if ( message.type === 'json' && message.json !== undefined ) {
+                _fnReceiveJson( dtSettings, message.json );
+                _fnSourceRelay( dtSettings, message.json );
+            }
+            // The leader couldn't relay the JSON, so poll the source (once) instead
+            else if ( message.type === 'poll' ) {
+                dtSettings.liveAjax.initReload( $.noop, ! _fnSourcePaused( dtSettings ) );
+            }
+        }
+    }
+
+    /**
+     * Process JSON that wasn't polled by the table itself; pushed through the push channel, relayed
+     * by the leader tab (liveAjax.shareTabs), or polled by another table sharing the source
+     * (liveAjax.source). The newest JSON is held on to while paused, and gets processed on resume
+     *
+     * @param {object}  dtSettings  dataTables settings object
+     * @param {object}  json        JSON to process
+     * @param {object}  xhr         Push channel (or jqXHR) the JSON came through
+     */
+    function _fnReceiveJson( dtSettings, json, xhr ){
+        dtSettings.liveAjax.lastIteration = new Date();
+        dtSettings.liveAjax.totalIterations++;
+
+        if ( _isPaused( dtSettings ) ) {
+            dtSettings.liveAjax.heldJson = json;
+            return;
+        }
+
+        dtSettings.json = json;
+        dtSettings.liveAjax.processJson( json, xhr );
+    }
+
+    /**
+     * Relay the JSON the leader polled to the followers. Delta responses (liveAjax.delta) are relayed
+     * as the full JSON they were rebuilt into, so followers don't need to be at the same version; one
+     * queued behind the diffing of the last JSON isn't rebuilt yet, so the followers get its changes
+     * with the next response relayed. JSON that can't be sent (over the localStorage quota) has the
+     * followers poll the source themselves instead
+     *
+     * @param {object}  dtSettings  dataTables settings object
+     * @param {object}  json        JSON returned from the server
+     */
+    function _fnTabRelay( dtSettings, json ){
+        var tabs = dtSettings.liveAjax.tabs,
+            error;
+
+        if ( tabs === null || tabs.role !== 'leader' )
+            return;
+
+        if ( _fnIsDelta( dtSettings, json ) ) {
+            if ( dtSettings.json === json )
+                return;
+
+            json = dtSettings.json;
+        }
+
+        error = _fnTabPost( dtSettings, 'json', json );
+
+        if ( error === null )
+            return;
+
+        // Only warned about once, since JSON that large is likely to stay that large
+        if ( tabs.relayFailed !== true ) {
+            tabs.relayFailed = true;
+
+            _fnLog( dtSettings, 1, 'Unable to relay the JSON to the other tabs (' + ( error.message || error.name ) + '), they poll the source themselves instead' );
+        }
+
+        _fnTabPost( dtSettings, 'poll' );
+    }
+
+    /**
+     * Set whether this tab leads (polls the source) or follows (processes what the leader relays),
+     * firing tabRole.liveAjax with the role
+     *
+     * @param {object}  dtSettings  dataTables settings object
+     * @param {string}  role        leader or follower
+     */
+    function _fnSetTabRole( dtSettings, role ){
+        var tabs = dtSettings.liveAjax.tabs;
+
+        if ( tabs.role === role )
+            return;
+
+        tabs.role = role;
+
+        if ( role === 'leader' ) {
+            _fnTabPost( dtSettings, 'heartbeat' );
+
+            // Poll right away, since the leader may have been gone for a while
+            clearTimeout( dtSettings.liveAjax.updateLoop );
+            _initLoop( dtSettings, 0 );
+        }
+        else {
+            // Any request in progress is left to finish, but the loop ends with it
+            clearTimeout( dtSettings.liveAjax.updateLoop );
+            dtSettings.liveAjax.looping = false;
+
+            _setConnectionState( dtSettings, 'following' );
+        }
+
+        _fnCallbackFire( dtSettings, null, 'tabRole', [ dtSettings, role ], 'liveAjax' );
+    }
+
+    /**
+     * Get the tables sharing the source of a table (liveAjax.source), registering the source if it's
+     * the first table using it
+     *
+     * @param   {object}    dtSettings  dataTables settings object
+     * @returns {object}    tables (DataTables settings of each table subscribed), and the poller (the one
+     *                      polling for all of them)
+     */
+    function _fnSource( dtSettings ){
+        var name = dtSettings.liveAjax.source;
+
+        if ( _sources[ name ] === undefined )
+            _sources[ name ] = { tables: [], poller: null };
+
+        return _sources[ name ];
+    }
+
+    /**
+     * Check if a table is subscribed to its source (liveAjax.source)
+     *
+     * @param   {object}    dtSettings  dataTables settings object
+     * @returns {boolean}
+     */
+    function _fnSourceJoined( dtSettings ){
+        return dtSettings.liveAjax.source !== null
+            && $.inArray( dtSettings, _fnSource( dtSettings ).tables ) !== -1;
+    }
+
+    /**
+     * Check if the source of a table is polled by another table (liveAjax.source), which hands this
+     * one the responses
+     *
+     * @param   {object}    dtSettings  dataTables settings object
+     * @returns {boolean}
+     */
+    function _fnSourceFollowing( dtSettings ){
+        return _fnSourceJoined( dtSettings ) && _fnSource( dtSettings ).poller !== dtSettings;
+    }
+
+    /**
+     * Get the table that polls the source for a table; the table polling the source it shares with
+     * others (liveAjax.source), otherwise the table itself
+     *
+     * @param   {object}    dtSettings  dataTables settings object
+     * @returns {object}    dataTables settings object
+     */
+    function _fnSourcePoller( dtSettings ){
+        return _fnSourceFollowing( dtSettings )
+            ? _fnSource( dtSettings ).poller
+            : dtSettings;
+    }
+
+    /**
+     * Check if the updates of every table sharing the source are paused (or just those of the table,
+     * when it doesn't share one), in which case there's no one to poll it for
+     *
+     * @param   {object}    dtSettings  dataTables settings object
+     * @returns {boolean}
+     */
+    function _fnSourcePaused( dtSettings ){
+        var tables = _fnSourceJoined( dtSettings ) ? _fnSource( dtSettings ).tables : [ dtSettings ];
+
+        return $.grep( tables, function ( table ) {
+            return ! _isPaused( table );
+        } ).length === 0;
+    }
+
+    /**
+     * Subscribe a table to its source (liveAjax.source). The first table subscribed polls the source for
+     * all of them
+     *
+     * @param   {object}    dtSettings  dataTables settings object
+     * @returns {boolean}   True if the table is to poll the source, false if another table already does
+     */
+    function _fnSourceJoin( dtSettings ){
+        var source = _fnSource( dtSettings );
+
+        if ( $.inArray( dtSettings, source.tables ) === -1 )
+            source.tables.push( dtSettings );
+
+        if ( source.poller === null )
+            source.poller = dtSettings;
+
+        return source.poller === dtSettings;
+    }
+
+    /**
+     * Unsubscribe a table from its source (liveAjax.source). If it was polling the source, the next table
+     * subscribed takes over
+     *
+     * @param {object} dtSettings dataTables settings object
+     */
+    function _fnSourceLeave( dtSettings ){
+        var source;
+
+        if ( ! _fnSourceJoined( dtSettings ) )
+            return;
+
+        source = _fnSource( dtSettings );
+        source.tables.splice( $.inArray( dtSettings, source.tables ), 1 );
+
+        if ( source.tables.length === 0 ) {
+            delete _sources[ dtSettings.liveAjax.source ];
+            return;
+        }
+
+        if ( source.poller === dtSettings ) {
+            source.poller = source.tables[0];
+
+            _fnStartUpdates( source.poller, 0 );
+        }
+    }
+
+    /**
+     * Hand the JSON polled (or pushed) for a table over to the other tables sharing its source
+     * (liveAjax.source). Each of them gets a copy of its own, since the rows end up in its table
+     *
+     * @param {object}  dtSettings  dataTables settings object
+     * @param {object}  json        JSON returned from the server
+     * @param {object}  xhr         Push channel (or jqXHR) the JSON came through
+     */
+    function _fnSourceRelay( dtSettings, json, xhr ){
+        if ( ! _fnSourceJoined( dtSettings ) || _fnSource( dtSettings ).poller !== dtSettings )
+            return;
+
+        $.each( _fnSource( dtSettings ).tables.slice(), function ( i, table ) {
+            if ( table !== dtSettings )
+                _fnReceiveJson( table, $.extend( true, $.isArray( json ) ? [] : {}, json ), xhr || dtSettings.jqXHR );
+        } );
+    }
+
+    /**
+     * Get the settings of the snapshot persistence (liveAjax.persist) from the initialization settings of
+     * a table. These are needed before liveAjax is initialized on the table, to hydrate it
+     *
+     * @param   {object}        dtSettings  dataTables settings object
+     * @returns {object|null}   store (indexedDB or localStorage), key, maxSize and ttl, or null if the
+     *                          snapshots aren't persisted
+     */
+    function _fnPersistSettings( dtSettings ){
+        var options = $.isPlainObject( dtSettings.oInit.liveAjax ) ? dtSettings.oInit.liveAjax : {},
+            opt = function ( item ) {
+                return options[ item ] !== undefined && options[ item ] !== null ? options[ item ] : _defaults[ item ];
+            },
+            store = opt('persist');
+
+        // Server-side processing tables only hold the rows of one page
+        if ( $.inArray( store, [ true, 'indexedDB', 'localStorage' ] ) === -1 || dtSettings.oFeatures.bServerSide )
+            return null;
+
+        if ( store !== 'localStorage' && ! window.indexedDB )
+            store = 'localStorage';
+
+        return {
+            store: store === 'localStorage' ? 'localStorage' : 'indexedDB',
+            key: 'liveAjax:' + ( opt('persistKey') || window.location.pathname + '#' + dtSettings.sTableId ),
+            maxSize: parseInt( opt('persistMaxSize') ) || _defaults.persistMaxSize,
+            ttl: parseInt( opt('persistTTL') ) || _defaults.persistTTL
+        };
+    }
+
+    /**
+     * Make a request on the IndexedDB object store of the snapshots, opening the database on the first one
+     *
+     * @param   {string}    mode    readonly or readwrite
+     * @param   {function}  action  Executed with the object store, returning the IDBRequest
+     * @returns {Promise}   Resolved with the result of the request
+     */
+    function _fnSnapshotDb( mode, action ){
+        if ( _snapshotDb === null )
+            _snapshotDb = new Promise( function ( resolve, reject ) {
+                var request = window.indexedDB.open( 'liveAjax', 1 );
+
+                request.onupgradeneeded = function () {
+                    request.result.createObjectStore( 'snapshots' );
+                };
+
+                request.onsuccess = function () {
+                    resolve( request.result );
+                };
+
+                request.onerror = request.onblocked = function () {
+                    reject( request.error );
+                };
+            } );
+
+        return _snapshotDb.then( function ( db ) {
+            return new Promise( function ( resolve, reject ) {
+                var request = action( db.transaction( 'snapshots', mode ).objectStore( 'snapshots' ) );
+
+                request.onsuccess = function () {
+                    resolve( request.result );
+                };
+
+                request.onerror = function () {
+                    reject( request.error );
+                };
+            } );
+        } );
+    }
+
+    /**
+     * Read, write or remove a snapshot (liveAjax.persist). Storage being unavailable (such as in private
+     * browsing) or full just means there's no snapshot
+     *
+     * @param   {object}    persist     Snapshot settings (see _fnPersistSettings)
+     * @param   {string}    action      get, set or remove
+     * @param   {string}    value       Serialized snapshot (set)
+     * @returns {Promise}   Resolved with the serialized snapshot (get), or null
+     */
+    function _fnSnapshotStore( persist, action, value ){
+        var done;
+
+        if ( persist.store === 'indexedDB' )
+            done = _fnSnapshotDb( action === 'get' ? 'readonly' : 'readwrite', function ( store ) {
+                return action === 'get'
+                    ? store.get( persist.key )
+                    : ( action === 'set' ? store.put( value, persist.key ) : store['delete']( persist.key ) );
+            } );
+        else
+            done = new Promise( function ( resolve ) {
+                if ( action === 'get' )
+                    resolve( window.localStorage.getItem( persist.key ) );
+                else if ( action === 'set' )
+                    window.localStorage.setItem( persist.key, value );
+                else
+                    window.localStorage.removeItem( persist.key );
+
+                resolve( null );
+            } );
+
+        return done.then( function ( result ) {
+            return result === undefined ? null : result;
+        }, function () {
+            return null;
+        } );
+    }
+
+    /**
+     * Load the snapshot of a table (liveAjax.persist), unless it's older than liveAjax.persistTTL
+     *
+     * @param   {object}    persist     Snapshot settings (see _fnPersistSettings)
+     * @returns {Promise}   Resolved with the JSON of the snapshot, or null if there's none
+     */
+    function _fnLoadSnapshot( persist ){
+        return _fnSnapshotStore( persist, 'get' ).then( function ( serialized ) {
+            var snapshot;
+
+            try {
+                snapshot = JSON.parse( serialized );
+            }
+            catch( err ) {
+                snapshot = null;
+            }
+
+            if ( ! $.isPlainObject( snapshot ) || snapshot.json === undefined )
+                return null;
+
+            if ( new Date().getTime() - snapshot.time > persist.ttl ) {
+                _fnSnapshotStore( persist, 'remove' );
+                return null;
+            }
+
+            return snapshot.json;
+        } );
+    }
+
+    /**
+     * Persist the JSON the table was last updated with as its snapshot (liveAjax.persist), once the
+     * browser is idle (or right after the update, where it can't tell), so serializing it doesn't hold
+     * up the updates. The updates made meanwhile are persisted together, as the last of them
+     *
+     * @param {object} dtSettings dataTables settings object
+     */
+    function _fnSaveSnapshot( dtSettings ){
+        if ( dtSettings.liveAjax.persist === null || dtSettings.liveAjax.persistTimer !== null )
+            return;
+
+        dtSettings.liveAjax.persistTimer = $.isFunction( window.requestIdleCallback )
+            ? window.requestIdleCallback( function () {
+                dtSettings.liveAjax.persistTimer = null;
+                _fnWriteSnapshot( dtSettings );
+            }, { timeout: 2000 } )
+            : setTimeout( function () {
+                dtSettings.liveAjax.persistTimer = null;
+                _fnWriteSnapshot( dtSettings );
+            }, 0 );
+    }
+
+    /**
+     * Cancel persisting the JSON the table was last updated with (see _fnSaveSnapshot)
+     *
+     * @param {object} dtSettings dataTables settings object
+     */
+    function _fnCancelSnapshot( dtSettings ){
+        if ( dtSettings.liveAjax.persistTimer === null )
+            return;
+
+        if ( $.isFunction( window.cancelIdleCallback ) )
+            window.cancelIdleCallback( dtSettings.liveAjax.persistTimer );
+        else
+            clearTimeout( dtSettings.liveAjax.persistTimer );
+
+        dtSettings.liveAjax.persistTimer = null;
+    }
+
+    /**
+     * Write the snapshot (see _fnSaveSnapshot), if the JSON changed since it was last persisted. JSON
+     * larger than liveAjax.persistMaxSize isn't kept; the snapshot already persisted is removed, rather
+     * than hydrating the table with outdated data. The size is estimated from a few of the rows first,
+     * so large JSON isn't serialized only to be dropped
+     *
+     * @param {object} dtSettings dataTables settings object
+     */
+    function _fnWriteSnapshot( dtSettings ){
+        var persist = dtSettings.liveAjax.persist,
+            json = dtSettings.liveAjax.previousJson,
+            serialized;
+
+        if ( json === undefined || json === dtSettings.liveAjax.persistedJson )
+            return;
+
+        dtSettings.liveAjax.persistedJson = json;
+
+        try {
+            if ( _fnSampleSize( _fnGetData( dtSettings, json ) ) <= persist.maxSize )
+                serialized = JSON.stringify( { time: new Date().getTime(), json: json } );
+        }
+        catch( err ) {
+            return;
+        }
+
+        if ( serialized === undefined || serialized.length > persist.maxSize ) {
+            _fnLog( dtSettings, 1, 'The JSON is larger than liveAjax.persistMaxSize - not persisting it' );
+            _fnSnapshotStore( persist, 'remove' );
+            return;
+        }
+
+        _fnSnapshotStore( persist, 'set', serialized );
+    }
+
+    /**
+     * Estimate the serialized size of the rows, from the first, middle and last of them
+     *
+     * @param   {array|object}  rows    Rows of the JSON (an array, or an object keyed by their id)
+     * @returns {integer}       Estimated number of characters
+     */
+    function _fnSampleSize( rows ){
+        var keys = $.isArray( rows ) ? null : $.map( rows || {}, function ( row, key ) { return key; } ),
+            count = keys !== null ? keys.length : rows.length,
+            size = 0;
+
+        if ( count === 0 )
+            return 0;
+
+        $.each( [ 0, Math.floor( count / 2 ), count - 1 ], function ( i, pos ) {
+            size += keys !== null
+                ? JSON.stringify( rows[ keys[ pos ] ] ).length + keys[ pos ].length
+                : JSON.stringify( rows[ pos ] ).length;
+        } );
+
+        return Math.round( size / 3 * count );
+    }
+
+    /**
+     * Fill the table with the rows of its snapshot (liveAjax.persist) while the initial load is in
+     * progress, flagging it as stale. Once liveAjax is initialized, the JSON of the initial load gets
+     * diffed against it
+     *
+     * @param {object}  dtSettings  dataTables settings object
+     * @param {object}  json        JSON of the snapshot
+     */
+    function _fnHydrate( dtSettings, json ){
+        var rows;
+
+        try {
+            rows = _fnGetData( dtSettings, json );
+        }
+        catch( err ) {
+            return;
+        }
+
+        if ( $.isPlainObject( rows ) )
+            _fnAddRows( dtSettings, $.map( Object.keys( rows ), function ( key ) {
+                return [ rows[ key ] ];
+            } ), Object.keys( rows ) );
+        else if ( $.isArray( rows ) )
+            _fnAddRows( dtSettings, rows );
+        else
+            return;
+
+        $.data( dtSettings.nTable, 'liveAjaxSnapshot', json );
+
+        $( dtSettings.nTable ).addClass( 'liveAjax-stale' );
+
+        new $.fn.dataTable.Api( dtSettings ).draw();
+    }
+
+    /**
+     * Kill the existing setTimeout, if exists
+     *
+     * @param {object} dtSettings dataTables settings object
+     */
+    function _clearTimeout( dtSettings ){
+        clearTimeout( dtSettings.liveAjax.updateLoop );
+
+        dtSettings.liveAjax.looping = false;
+        dtSettings.liveAjax.stoppedOffline = false;
+
+        _fnCallbackFire( dtSettings, null, 'clearTimeout', [ dtSettings, dtSettings.jqXHR ], 'liveAjax' );
+    }
+
+    /**
+     * Abort the current XHR Event tied to the table settings
+     *
+     * @param {object} dtSettings dataTables settings object
+     */
+    function _abortXhr( dtSettings ){
+        // Attempt to abort the XHR event
+        try {
+            dtSettings.jqXHR.abort();
+        }
+        // Catch any errors that may happen
+        catch( err ) {
+            dtSettings.liveAjax.latestError = err.message;
+        }
+        // Execute the abortXhr.liveAjax event
+        finally {
+            _fnCallbackFire( dtSettings, null, 'abortXhr', [ dtSettings, dtSettings.jqXHR ], 'liveAjax' );
+        }
+    }
+
+    /**
+     * Request the AJAX source right away (see liveAjax.reload()), returning a Promise that's resolved
+     * once the response was handled (see _fnSettleReloads), or rejected with a LiveAjaxError if the
+     * request was skipped or failed
+     *
+     * @param   {object}    dtSettings  DataTables settings object
+     * @param   {object}    options     force (request even if paused), resetPaging (when redrawing for
+     *                                  the response, rather than liveAjax.resetPaging)
+     * @param   {object}    callbacks   done, fail and always callbacks for the jqXHR (the old reload() form)
+     * @returns {Promise}   Resolved with { changed, updates, json }
+     */
+    function _fnReload( dtSettings, options, callbacks ){
+        return new Promise( function ( resolve, reject ) {
+            var reload = {
+                    responded: false,
+                    resetPaging: typeof options.resetPaging === 'boolean' ? options.resetPaging : null,
+                    resolve: resolve,
+                    reject: reject
+                },
+                drop = function () {
+                    dtSettings.liveAjax.reloads = $.grep( dtSettings.liveAjax.reloads, function ( r ) {
+                        return r !== reload;
+                    } );
+                };
+
+            // Listed before the request is made, since an ajax function may respond right away
+            dtSettings.liveAjax.reloads.push( reload );
+
+            if ( dtSettings.liveAjax.initReload( null, options.force === true, callbacks.done, callbacks.fail, callbacks.always ) !== true ) {
+                drop();
+
+                reject( _isXhrClear( dtSettings )
+                    ? new LiveAjaxError( 'skipped', 'The updates are paused', { reason: 'paused' } )
+                    : new LiveAjaxError( 'skipped', 'A request is already in progress', { reason: 'processing' } ) );
+
+                return;
+            }
+
+            dtSettings.jqXHR.fail( function ( jqXHR, textStatus, errorThrown ) {
+                if ( reload.responded )
+                    return;
+
+                drop();
+
+                reject( new LiveAjaxError( 'xhr', 'The request failed (' + textStatus + ')', {
+                    status: textStatus,
+                    xhr: jqXHR,
+                    error: errorThrown
+                } ) );
+            } );
+        } );
+    }
+
+    /**
+     * Resolve the Promises of the reloads that were responded to, once the response was handled; the
+     * changes applied (or there were none), or they were held (liveAjax.manualApply or liveAjax.autoPause),
+     * vetoed (liveAjax.beforeUpdate) or out of date. Nothing is resolved while more JSON waits to be processed
+     *
+     * @param {object}  dtSettings  DataTables settings object
+     * @param {object}  result      What the Promises are resolved with; changed, updates and json, possibly
+     *                              with pending, held, vetoed or stale
+     */
+    function _fnSettleReloads( dtSettings, result ){
+        if ( dtSettings.liveAjax.queuedJson !== null )
+            return;
+
+        dtSettings.liveAjax.reloads = $.grep( dtSettings.liveAjax.reloads, function ( reload ) {
+            if ( reload.responded )
+                reload.resolve( result );
+
+            return ! reload.responded;
+        } );
+    }
+
+    /**
+     * Reject the Promises of the reloads that were responded to, when handling the response threw (rather than
+     * leaving them for a later response to resolve), and drop whatever was left of the handling, so the next
+     * response is processed as usual
+     *
+     * @param {object}  dtSettings  DataTables settings object
+     * @param {Error}   error       What was thrown
+     */
+    function _fnFailReloads( dtSettings, error ){
+        dtSettings.liveAjax.queuedJson = null;
+        dtSettings.liveAjax.rendering = false;
+
+        dtSettings.liveAjax.reloads = $.grep( dtSettings.liveAjax.reloads, function ( reload ) {
+            if ( reload.responded )
+                reload.reject( new LiveAjaxError( 'error', 'Handling the response failed (' + ( error && error.message ) + ')', {
+                    error: error
+                } ) );
+
+            return ! reload.responded;
+        } );
+    }
+
+    /**
+     * Wrap a step of the handling of a response (see _fnFailReloads), which may run asynchronously (in an
+     * animation frame or once the diff worker is done), so anything it throws fails the reloads waiting on it
+     * before being rethrown
+     *
+     * @param   {object}    dtSettings  DataTables settings object
+     * @param   {function}  fn          The step
+     * @returns {function}
+     */
+    function _fnGuardReloads( dtSettings, fn ){
+        return function () {
+            try {
+                return fn.apply( this, arguments );
+            }
+            catch ( e ) {
+                if ( dtSettings.liveAjax !== undefined )
+                    _fnFailReloads( dtSettings, e );
+
+                throw e;
+            }
+        };
+    }
+
+    /**
+     * Get whether to reset the paging when redrawing the table for the last response; the resetPaging
+     * the liveAjax.reload() that requested it was called with, otherwise liveAjax.resetPaging
+     *
+     * @param   {object}    dtSettings  DataTables settings object
+     * @returns {boolean}
+     */
+    function _fnResetPaging( dtSettings ){
+        var resetPaging = dtSettings.liveAjax.resetPaging;
+
+        $.each( dtSettings.liveAjax.reloads, function ( i, reload ) {
+            if ( reload.responded && reload.resetPaging !== null )
+                resetPaging = reload.resetPaging;
+        } );
+
+        return resetPaging;
+    }
+
+    /**
+     * Initialize the updates (see _initUpdates), returning a Promise that's resolved with the connection
+     * state once the updates started; right away when polling, or once the push channel opened (or
+     * liveAjax fell back to polling)
+     *
+     * @param   {object}    dtSettings  DataTables settings object
+     * @returns {Promise}   Resolved with the connection state (polling, following, open or closed)
+     */
+    function _fnInitiate( dtSettings ){
+        return new Promise( function ( resolve ) {
+            var started = function ( e, ctx, state ) {
+                if ( ctx !== dtSettings || state === 'connecting' || state === 'reconnecting' )
+                    return;
+
+                $( dtSettings.nTable ).off( 'connection.liveAjax', started );
+
+                resolve( state );
+            };
+
+            _initUpdates( dtSettings );
+
+            if ( dtSettings.liveAjax.connection === 'connecting' || dtSettings.liveAjax.connection === 'reconnecting' )
+                $( dtSettings.nTable ).on( 'connection.liveAjax', started );
+            else
+                resolve( dtSettings.liveAjax.connection );
+        } );
     }
 
     /**
-     * Display or hide the processing indicator
-     *  @param  {object} dtSettings     DataTables settings object
-     *  @param  {bool}   show           Show the processing indicator (true) or not (false)
+     * Abort the current XHR request (see _abortXhr), returning a Promise that's resolved once the
+     * request has ended
+     *
+     * @param   {object}    dtSettings  DataTables settings object
+     * @returns {Promise}   Resolved with true if there was a request in progress, false if not
      */
-    function _fnProcessingDisplay ( dtSettings, show ) {
-        if ( dtSettings.oFeatures.bProcessing ) {
-            $( dtSettings.aanFeatures.r ).css( 'display', show ? 'block' : 'none' );
-        }
+    function _fnAbort( dtSettings ){
+        return new Promise( function ( resolve ) {
+            var running = ! _isXhrClear( dtSettings );
 
-        _fnCallbackFire( dtSettings, null, 'processing', [ dtSettings, show ] );
+            _abortXhr( dtSettings );
+
+            $.when( dtSettings.jqXHR ).always( function () {
+                resolve( running );
+            } );
+        } );
     }
 
     /**
-     * Create an Ajax call based on the table's settings, taking into account that
-     * parameters can have multiple forms, and backwards compatibility.
+     * Combine the Promises an API method returned for each of its tables into one, which is the
+     * Promise of the table itself when there's just one table, or resolves with an array of
+     * the results otherwise
      *
-     * @param {object} dtSettings dataTables settings object
-     * @param {array} data Data to send to the server, required by
-     *     DataTables - may be augmented by developer callbacks
-     * @param {function} fn Callback function to run when data is obtained
+     * @param   {array}     promises    Promise of each table
+     * @returns {Promise}
      */
-    function _fnBuildAjax( dtSettings, data, fn ) {
-        // Fire the serverParams callback if dtCallbacks is enabled
-        if ( _fnDtCallbackEnabled( dtSettings, 'serverParams' ) )
-        // Compatibility with 1.9-, allow fnServerData and event to manipulate
-            _fnCallbackFire( dtSettings, 'aoServerParams', 'serverParams', [data] );
+    function _fnApiPromise( promises ){
+        return promises.length === 1
+            ? promises[0]
+            : Promise.all( promises );
+    }
 
-        // Convert to object based for 1.10+ if using the old array scheme which can
-        // come from server-side processing or serverParams
-        if ( data && $.isArray(data) ) {
-            var tmp = {};
-            var rbracket = /(.*?)\[\]$/;
+    /**
+     * Set the status of XHR Polling, pausing or resuming updates. Besides the manual pause
+     * (liveAjax.pause() and co.), updates can be paused for other reasons (such as the page
+     * being hidden), each of which is tracked separately; updates only resume once nothing
+     * is keeping them paused
+     *
+     * @param {object}  dtSettings  DataTables settings object
+     * @param {boolean} status      Status to implement (true = paused; false = unpaused)
+     * @param {string}  reason      Reason for the (un)pause: manual (default), hidden, idle, offline,
+     *                              focus, selection or pointer
+     */
+    function _setPauseStatus( dtSettings, status, reason ){
+        var heldJson = dtSettings.liveAjax.heldJson;
 
-            $.each( data, function (key, val) {
-                var match = val.name.match(rbracket);
+        reason = reason || 'manual';
 
-                if ( match ) {
-                    // Support for arrays
-                    var name = match[0];
+        if ( reason === 'manual' )
+            dtSettings.liveAjax.paused = status;
+        else
+            dtSettings.liveAjax.pausedFor[ reason ] = status;
 
-                    if ( ! tmp[ name ] ) {
-                        tmp[ name ] = [];
-                    }
-                    tmp[ name ].push( val.value );
-                }
-                else {
-                    tmp[val.name] = val.value;
-                }
-            } );
-            data = tmp;
+        _fnCallbackFire( dtSettings, null, 'setPause', [ dtSettings, status, reason ], 'liveAjax' );
+
+        // Process anything that was pushed while paused
+        if ( ! _isPaused( dtSettings ) && heldJson !== null ) {
+            dtSettings.liveAjax.heldJson = null;
+            dtSettings.json = heldJson;
+            dtSettings.liveAjax.processJson( heldJson, dtSettings.liveAjax.channel );
         }
+    }
 
-        var xhrStart;
-        var ajaxData;
-        var ajax = dtSettings.ajax;
-        var instance = dtSettings.oInstance;
-        var callback = function ( json ) {
-            // Fire the xhr callback if dtCallbacks is enabled
-            if ( _fnDtCallbackEnabled( dtSettings, 'xhr' ) )
-                _fnCallbackFire( dtSettings, null, 'xhr', [dtSettings, json, dtSettings.jqXHR] );
+    /**
+     * Check if updates are paused, for any reason (or for one specific reason)
+     *
+     * @param   {object}    dtSettings  DataTables settings object
+     * @param   {string}    reason      Only check this reason (manual, hidden, idle, offline, focus, selection or pointer)
+     * @returns {boolean}
+     */
+    function _isPaused( dtSettings, reason ){
+        if ( reason === 'manual' )
+            return dtSettings.liveAjax.paused === true;
 
-            fn( json );
-        };
+        if ( reason !== undefined )
+            return dtSettings.liveAjax.pausedFor[ reason ] === true;
 
-        // Get the AJAX data from the DT Init setting ajax.data
-        if ( $.isPlainObject( ajax ) && ajax.data ) {
-            ajaxData = ajax.data;
+        return dtSettings.liveAjax.paused === true
+            || $.inArray( true, $.map( dtSettings.liveAjax.pausedFor, function( v ){ return v; } ) ) !== -1;
+    }
 
-            var newData = $.isFunction( ajaxData ) ?
-                ajaxData( data, dtSettings ) :  // fn can manipulate data or return
-                ajaxData;                      // an object object or array to merge
+    /**
+     * Get the interval until the next poll, which is liveAjax.slowInterval while the page is
+     * hidden or the user is idle (if set to 'slow' down for either), and liveAjax.interval otherwise
+     *
+     * @param   {object}    dtSettings  DataTables settings object
+     * @returns {integer}   Interval in milliseconds
+     */
+    function _fnPollInterval( dtSettings ){
+        if ( ( dtSettings.liveAjax.whenHidden === 'slow' && dtSettings.liveAjax.inactive.hidden === true )
+                || ( dtSettings.liveAjax.whenIdle === 'slow' && dtSettings.liveAjax.inactive.idle === true ) )
+            return Math.max( dtSettings.liveAjax.interval, dtSettings.liveAjax.slowInterval );
 
-            // If the function returned something, use that alone
-            data = $.isFunction( ajaxData ) && newData ?
-                newData :
-                $.extend( true, data, newData );
+        return dtSettings.liveAjax.interval;
+    }
 
-            // Remove the data property as we've resolved it already and don't want
-            // jQuery to do it again (it is restored at the end of the function)
-            delete ajax.data;
-        }
+    /**
+     * Get the interval the server asked to be polled at; the liveAjax.intervalField of the JSON
+     * (in milliseconds), or the X-Poll-Interval or Retry-After header (in seconds, or an HTTP
+     * date for Retry-After)
+     *
+     * @param   {object}        dtSettings  DataTables settings object
+     * @param   {object}        xhr         jqXHR the response came with
+     * @param   {object}        json        JSON returned from the server (if any)
+     * @returns {integer|null}  Interval in milliseconds, or null if the server didn't say
+     */
+    function _fnServerInterval( dtSettings, xhr, json ){
+        var field = dtSettings.liveAjax.intervalField,
+            header,
+            date;
 
-        var baseAjax = {
-            data: data,
-            dataType: "json",
-            cache: false,
-            type: dtSettings.ajax.type || 'GET',
-            success: function (json) {
-                var error = json.error || json.sError;
+        if ( field && $.isPlainObject( json ) && $.isNumeric( json[ field ] ) )
+            return parseFloat( json[ field ] );
 
-                if ( error )
-                    _fnLog( dtSettings, 0, error );
+        if ( ! xhr || ! $.isFunction( xhr.getResponseHeader ) )
+            return null;
 
-                dtSettings.json = json;
+        header = xhr.getResponseHeader( 'X-Poll-Interval' );
 
-                callback( json );
-            },
-            error: function (xhr, error, thrown) {
-                // Fire the xhr callback if dtCallbacks is enabled
-                if ( _fnDtCallbackEnabled( dtSettings, 'xhr' ) )
-                    var ret = _fnCallbackFire( dtSettings, null, 'xhr', [dtSettings, null, dtSettings.jqXHR] );
+        if ( $.isNumeric( header ) )
+            return header * 1000;
 
-                if ( $.inArray( true, ret ) === -1 ) {
-                    if ( error == "parsererror" ) {
-                        _fnLog( dtSettings, 0, 'Invalid JSON response', 1 );
-                    }
-                    else if ( xhr.readyState === 4 ) {
-                        _fnLog( dtSettings, 0, 'Ajax error', 7 );
-                    }
-                }
+        header = xhr.getResponseHeader( 'Retry-After' );
 
-                _fnProcessingDisplay( dtSettings, false );
-            }
-        };
+        if ( $.isNumeric( header ) )
+            return header * 1000;
 
-        // Store the data submitted for the API
-        dtSettings.oAjaxData = data;
+        date = header ? Date.parse( header ) : NaN;
 
+        return isNaN( date ) ? null : Math.max( date - new Date().getTime(), 0 );
+    }
 
-        // Fire the xhr callback if dtCallbacks is enabled
-        if ( _fnDtCallbackEnabled( dtSettings, 'preXhr' ) )
-            _fnCallbackFire( dtSettings, null, 'preXhr', [dtSettings, data] );
+    /**
+     * Adapt the polling interval to the last response (liveAjax.adaptive); the interval the server
+     * asked for is used as is, otherwise it's divided by liveAjax.adaptiveFactor (down to
+     * liveAjax.minInterval) when there are changes, and multiplied by it (up to liveAjax.maxInterval)
+     * after liveAjax.slowDownAfter responses in a row without any. Each change of the interval fires
+     * setInterval.liveAjax with the reason (server, updates or noUpdate)
+     *
+     * @param {object}  dtSettings  DataTables settings object
+     * @param {object}  xhr         jqXHR the response came with
+     * @param {object}  json        JSON returned from the server
+     * @param {boolean} changed     If the response held any changes
+     */
+    function _fnAdaptInterval( dtSettings, xhr, json, changed ){
+        var la = dtSettings.liveAjax,
+            interval = _fnServerInterval( dtSettings, xhr, json ),
+            reason = 'server';
 
-        // Start timestamp for duration
-        xhrStart = new Date();
+        if ( la.adaptive !== true || la.transport !== 'poll' )
+            return;
 
-        if ( dtSettings.fnServerData ) {
-            // DataTables 1.9- compatibility
-            dtSettings.fnServerData.call( instance,
-                dtSettings.sAjaxSource,
-                $.map( data, function (val, key) { // Need to convert back to 1.9 trad format
-                    return { name: key, value: val };
-                } ),
-                callback,
-                dtSettings
-            );
+        if ( interval !== null ) {
+            la.quietPolls = 0;
         }
-        else if ( dtSettings.sAjaxSource || typeof ajax === 'string' ) {
-            // DataTables 1.9- compatibility
-            dtSettings.jqXHR = $.ajax( $.extend( baseAjax, {
-                url: ajax || dtSettings.sAjaxSource
-            } ) );
+        else if ( changed ) {
+            la.quietPolls = 0;
+            interval = Math.min( la.interval, Math.max( la.interval / la.adaptiveFactor, la.minInterval ) );
+            reason = 'updates';
         }
-        else if ( $.isFunction( ajax ) ) {
-            // Is a function - let the caller define what needs to be done
-            dtSettings.jqXHR = ajax.call( instance, data, callback, dtSettings );
+        else if ( ++la.quietPolls >= la.slowDownAfter ) {
+            la.quietPolls = 0;
+            interval = Math.max( la.interval, Math.min( la.interval * la.adaptiveFactor, la.maxInterval ) );
+            reason = 'noUpdate';
         }
         else {
-            // Object to extend the base settings
-            dtSettings.jqXHR = $.ajax( $.extend( baseAjax, ajax ) );
+            return;
+        }
 
-            // Restore for next time around
-            ajax.data = ajaxData;
+        interval = Math.max( Math.round( interval ), _minInterval );
+
+        if ( interval === la.interval )
+            return;
+
+        la.interval = interval;
+
+        _fnCallbackFire( dtSettings, null, 'setInterval', [ dtSettings, _fnPollInterval( dtSettings ), reason ], 'liveAjax' );
+    }
+
+    /**
+     * Start watching the page visibility and the user input (per the liveAjax.whenHidden and
+     * liveAjax.idleAfter settings), to slow down or pause the updates when nobody is looking
+     *
+     * @param {object} dtSettings dataTables settings object
+     */
+    function _initActivityMonitor( dtSettings ){
+        var namespace = '.liveAjax-' + dtSettings.sInstance;
+
+        if ( window.navigator.onLine !== undefined ) {
+            $( window ).on( 'offline' + namespace + ' online' + namespace, function( e ){
+                _setOfflineStatus( dtSettings, e.type === 'offline' );
+            } );
+
+            if ( window.navigator.onLine === false )
+                _setOfflineStatus( dtSettings, true );
         }
 
-        // LiveAjax Events..
-        dtSettings.jqXHR
-            // Success
-            .done( function ( json, textStatus, jqXHR ) {
-                dtSettings.liveAjax.previousJson = json;
-            } )
-            // Fail
-            .fail( function ( jqXHR, textStatus, errorThrown ) {
-                // Fire the xhr error-specific event
-                _fnCallbackFire( dtSettings, null, 'xhrErr' + _ucfirst( textStatus || 'unknown' ), [ dtSettings, dtSettings.jqXHR, errorThrown ], 'liveAjax' );
+        if ( dtSettings.liveAjax.whenHidden !== false && document.hidden !== undefined ) {
+            $( document ).on( 'visibilitychange' + namespace, function(){
+                _setActivityStatus( dtSettings, 'hidden', document.hidden === true );
+            } );
 
-                // Fire the general xhr error event
-                _fnCallbackFire( dtSettings, null, 'xhrErr', [ dtSettings, dtSettings.jqXHR, errorThrown ], 'liveAjax' );
-            } )
-            // Success & Fail
-            .always( function ( data_jqXHR, textStatus, jqXHR_errorThrown ) {
-                // Update the last result
-                dtSettings.liveAjax.lastResult = textStatus;
+            if ( document.hidden === true )
+                _setActivityStatus( dtSettings, 'hidden', true );
+        }
 
-                // Store the last iteration date
-                dtSettings.liveAjax.lastIteration = new Date();
+        if ( dtSettings.liveAjax.idleAfter > 0 ) {
+            dtSettings.liveAjax.lastActivity = new Date();
 
-                // Increment the total iterations
-                dtSettings.liveAjax.totalIterations++;
+            $( document ).on( $.map( [ 'mousemove', 'mousedown', 'keydown', 'wheel', 'touchstart', 'scroll' ], function( e ){
+                return e + namespace;
+            } ).join(' '), function(){
+                dtSettings.liveAjax.lastActivity = new Date();
 
-                // Update the duration to however long this took
-                dtSettings.liveAjax.lastDuration = new Date() - xhrStart;
+                if ( dtSettings.liveAjax.inactive.idle === true )
+                    _setActivityStatus( dtSettings, 'idle', false );
             } );
+
+            // Check when the user would be idle, (re)checking after that if there was any input since
+            (function _checkIdle() {
+                var remaining = dtSettings.liveAjax.idleAfter - ( new Date() - dtSettings.liveAjax.lastActivity );
+
+                if ( remaining <= 0 ) {
+                    _setActivityStatus( dtSettings, 'idle', true );
+
+                    remaining = dtSettings.liveAjax.idleAfter;
+                }
+
+                dtSettings.liveAjax.idleTimer = setTimeout( _checkIdle, remaining );
+            })();
+        }
     }
 
     /**
-     * Check if an XHR request is ok to execute, based on the status of the XHR readyState
+     * Stop watching the page visibility, user input and interactions with the table
      *
      * @param {object} dtSettings dataTables settings object
      */
-    function _isXhrClear( dtSettings ){
-        return (dtSettings.jqXHR === undefined || $.inArray(dtSettings.jqXHR.readyState, [ XHR_STATE_COMPLETE, XHR_STATE_NOT_INIT ]) !== -1 )
+    function _stopActivityMonitor( dtSettings ){
+        $( window ).off( 'offline.liveAjax-' + dtSettings.sInstance + ' online.liveAjax-' + dtSettings.sInstance );
+        $( document ).off( '.liveAjax-' + dtSettings.sInstance );
+        $( dtSettings.nTable ).off( '.liveAjax-' + dtSettings.sInstance );
+
+        clearTimeout( dtSettings.liveAjax.idleTimer );
     }
 
     /**
-     * Initialize the setTimeout loop for a DT instance, using the settings stored in the
-     * liveAjax namespace for said table
+     * Set whether the browser is offline. Depending on the liveAjax.whenOffline setting, the updates are
+     * paused meanwhile (firing setPause.liveAjax with the reason), rather than the failed requests ending
+     * the loop. The table is flagged as stale (see _fnSetStale) until the next update, which is done right
+     * away once back online
      *
-     * @param {object} dtSettings dataTables settings object
+     * @param {object}  dtSettings  DataTables settings object
+     * @param {boolean} status      True if offline, false if online
      */
-    function _initUpdates( dtSettings ){
-        // Prevent any duplicating of the loop
-        if ( ! _isXhrClear( dtSettings ) ){
-            console.warn('liveAjax already initiated for table #' + dtSettings.nTable.id);
+    function _setOfflineStatus( dtSettings, status ){
+        if ( dtSettings.liveAjax.offline === status )
             return;
-        }
 
-        // The self-invoking _doTimeout function executes itself when the timeout is reached
-        (function _doTimeout() {
-            dtSettings.liveAjax.updateLoop = setTimeout(function(){
-                // Fire off the reload method...
-                dtSettings.liveAjax.initReload(
-                    // Execute the next loop iteration function on the xhr.always() callback
-                    function( polledDtSettings ){
-                        // On success, fire off the next setTimeout interval
-                        if ( $.inArray( polledDtSettings.liveAjax.lastResult, polledDtSettings.liveAjax.abortOn ) === -1 )
-                            _doTimeout( polledDtSettings.liveAjax.interval );
-                        else
-                            _fnLog( polledDtSettings, 0, '[liveAjax] Abortable status retrieved from last XHR request (' + polledDtSettings.liveAjax.lastResult + ') - aborting updates', false );
-                    });
-            }, dtSettings.liveAjax.interval)
-        })();
+        dtSettings.liveAjax.offline = status;
 
-        _fnCallbackFire( dtSettings, null, 'init', [ dtSettings, dtSettings.jqXHR ], 'liveAjax' );
+        if ( status === true )
+            _fnSetStale( dtSettings, true );
+
+        if ( dtSettings.liveAjax.whenOffline === 'pause' )
+            _setPauseStatus( dtSettings, status, 'offline' );
+
+        _fnCallbackFire( dtSettings, null, status === true ? 'offline' : 'online', [ dtSettings ], 'liveAjax' );
+
+        // Nothing is going to bring the table up to date (the updates are paused, or stopped), so it's no
+        // longer flagged as stale for having been offline
+        if ( status === false && ! _catchUp( dtSettings, true ) && dtSettings.liveAjax.stale === true )
+            _fnSetStale( dtSettings, false );
     }
 
     /**
-     * Kill the existing setTimeout, if exists
+     * Flag the table as showing stale data (or not); hydrated from the snapshot (liveAjax.persist), or
+     * the browser being offline. The table gets the liveAjax-stale class meanwhile
      *
-     * @param {object} dtSettings dataTables settings object
+     * @param {object}  dtSettings  DataTables settings object
+     * @param {boolean} stale       True if stale, false once the table is up to date
      */
-    function _clearTimeout( dtSettings ){
-        clearTimeout( dtSettings.liveAjax.updateLoop );
+    function _fnSetStale( dtSettings, stale ){
+        dtSettings.liveAjax.stale = stale;
 
-        _fnCallbackFire( dtSettings, null, 'clearTimeout', [ dtSettings, dtSettings.jqXHR ], 'liveAjax' );
+        $( dtSettings.nTable ).toggleClass( 'liveAjax-stale', stale );
     }
 
     /**
-     * Abort the current XHR Event tied to the table settings
+     * Set whether the page is hidden, or the user is idle. Depending on the liveAjax.whenHidden
+     * and liveAjax.whenIdle settings, this either pauses the updates (firing setPause.liveAjax
+     * with the reason), or slows them down (firing setInterval.liveAjax with the reason). Once
+     * the page is visible or the user is active again, an update is done right away
+     *
+     * @param {object}  dtSettings  DataTables settings object
+     * @param {string}  reason      hidden or idle
+     * @param {boolean} status      True if hidden/idle, false if visible/active
+     */
+    function _setActivityStatus( dtSettings, reason, status ){
+        var mode = reason === 'hidden'
+            ? dtSettings.liveAjax.whenHidden
+            : dtSettings.liveAjax.whenIdle;
+
+        if ( dtSettings.liveAjax.inactive[ reason ] === status )
+            return;
+
+        dtSettings.liveAjax.inactive[ reason ] = status;
+
+        if ( mode === 'pause' )
+            _setPauseStatus( dtSettings, status, reason );
+        else
+            _fnCallbackFire( dtSettings, null, 'setInterval', [ dtSettings, _fnPollInterval( dtSettings ), reason ], 'liveAjax' );
+
+        // Catch up right away, rather than waiting on the (possibly slowed down) interval
+        if ( status === false )
+            _catchUp( dtSettings, true );
+    }
+
+    /**
+     * Start watching for the user interacting with the table (per the liveAjax.autoPause
+     * setting), pausing the updates while an input within the table has focus, text within
+     * the table is selected, or the pointer is pressed on the table
      *
      * @param {object} dtSettings dataTables settings object
      */
-    function _abortXhr( dtSettings ){
-        // Attempt to abort the XHR event
-        try {
-            dtSettings.jqXHR.abort();
+    function _initInteractionMonitor( dtSettings ){
+        var namespace = '.liveAjax-' + dtSettings.sInstance,
+            triggers = dtSettings.liveAjax.autoPause,
+            editable = 'input, textarea, select, [contenteditable]';
+
+        if ( triggers.focus === true ) {
+            $( dtSettings.nTable ).on( 'focusin' + namespace, editable, function(){
+                _setInteractionStatus( dtSettings, 'focus', true );
+            } );
+
+            $( dtSettings.nTable ).on( 'focusout' + namespace, editable, function(){
+                // Wait for the focus to land, it may just be moving to another input in the table
+                setTimeout( function(){
+                    _setInteractionStatus( dtSettings, 'focus',
+                        $( document.activeElement ).is( editable ) && $.contains( dtSettings.nTable, document.activeElement ) );
+                }, 0 );
+            } );
         }
-        // Catch any errors that may happen
-        catch( err ) {
-            dtSettings.liveAjax.latestError = err.message;
+
+        if ( triggers.selection === true && window.getSelection ) {
+            $( document ).on( 'selectionchange' + namespace, function(){
+                var selection = window.getSelection();
+
+                _setInteractionStatus( dtSettings, 'selection', selection.isCollapsed === false
+                    && selection.anchorNode !== null
+                    && $.contains( dtSettings.nTable, selection.anchorNode ) );
+            } );
         }
-        // Execute the abortXhr.liveAjax event
-        finally {
-            _fnCallbackFire( dtSettings, null, 'abortXhr', [ dtSettings, dtSettings.jqXHR ], 'liveAjax' );
+
+        if ( triggers.pointer === true ) {
+            $( dtSettings.nTable ).on( 'mousedown' + namespace + ' touchstart' + namespace, function(){
+                _setInteractionStatus( dtSettings, 'pointer', true );
+            } );
+
+            $( document ).on( 'mouseup' + namespace + ' touchend' + namespace + ' touchcancel' + namespace, function(){
+                _setInteractionStatus( dtSettings, 'pointer', false );
+            } );
         }
     }
 
     /**
-     * Set the status of XHR Polling, pausing or resuming updates
+     * Pause or resume the updates for a user interaction. Once the user is done interacting
+     * (with nothing else keeping the updates paused), anything held back during it is applied
+     * right away, and if a poll was skipped, the next one is done right away
      *
      * @param {object}  dtSettings  DataTables settings object
-     * @param {boolean} status      Status to implement (true = unpaused; false = paused)
+     * @param {string}  reason      focus, selection or pointer
+     * @param {boolean} status      True if interacting, false if not
+     */
+    function _setInteractionStatus( dtSettings, reason, status ){
+        if ( _isPaused( dtSettings, reason ) === status )
+            return;
+
+        _setPauseStatus( dtSettings, status, reason );
+
+        if ( status === false )
+            _catchUp( dtSettings, false );
+    }
+
+    /**
+     * Check if updates are paused for any user interaction
+     *
+     * @param   {object}    dtSettings  DataTables settings object
+     * @returns {boolean}
+     */
+    function _isInteracting( dtSettings ){
+        return _isPaused( dtSettings, 'focus' ) || _isPaused( dtSettings, 'selection' ) || _isPaused( dtSettings, 'pointer' );
+    }
+
+    /**
+     * Poll right away, rather than waiting on the (possibly slowed down) interval, unless the
+     * updates are paused. If a request is already in progress, that one will do. A loop that
+     * gave up while the browser was offline is started again
+     *
+     * @param   {object}    dtSettings  DataTables settings object
+     * @param   {boolean}   force       Poll even if no poll was skipped while paused
+     * @returns {boolean}   True if the source is (about to be) polled
      */
-    function _setPauseStatus( dtSettings, status ){
-        dtSettings.liveAjax.paused = status;
+    function _catchUp( dtSettings, force ){
+        // The table polling the source for this one (liveAjax.source) does the catching up
+        dtSettings = _fnSourcePoller( dtSettings );
 
-        _fnCallbackFire( dtSettings, null, 'setPause', [ dtSettings, status ], 'liveAjax' );
+        if ( ( force === true || dtSettings.liveAjax.missedUpdate === true || dtSettings.liveAjax.stoppedOffline === true )
+                && ( dtSettings.liveAjax.looping === true || dtSettings.liveAjax.stoppedOffline === true )
+                && ! _fnSourcePaused( dtSettings ) && _isXhrClear( dtSettings ) ) {
+            clearTimeout( dtSettings.liveAjax.updateLoop );
+
+            // Starting over, rather than carrying on with the retries of the loop that gave up
+            if ( dtSettings.liveAjax.stoppedOffline === true ) {
+                dtSettings.liveAjax.stoppedOffline = false;
+                dtSettings.liveAjax.retryCount = 0;
+            }
+
+            _initLoop( dtSettings, 0 );
+
+            return true;
+        }
+
+        return ! _isXhrClear( dtSettings );
     }
 
     // Default values for any liveAjax init settings, this is pretty
@@ -673,13 +4686,145 @@
             // @see http://api.jquery.com/jquery.ajax/
             // Possible Statuses: success, notmodified, nocontent, error, timeout, abort, parsererror
             abortOn: ['error', 'timeout', 'parsererror'],
+            // Poll the AJAX source, rather than having updates pushed via 'sse' or 'websocket'
+            transport: 'poll',
+            // URL of the push channel (defaults to the ajax URL)
+            pushUrl: null,
+            // Make the requests with $.ajax ('fetch' for fetch(), or a function making the request)
+            requestWith: 'ajax',
+            // Time out a DataTables ajax function (or fnServerData) that hasn't responded after 30 seconds
+            callbackTimeout: 30000,
+            // Don't pause the updates while the user interacts with the table (true, or an object
+            // enabling any of the triggers: { focus: true, selection: true, pointer: true })
+            autoPause: false,
+            // Don't restore the selected rows, child rows, focus and scroll position after each update
+            preserveState: false,
+            // Diff and locate the rows by the rowId (otherwise, a property, an array of properties or a function)
+            rowKey: null,
+            // Replace all the rows when rows without a key change (rather than diffing them by their content)
+            hashRows: false,
+            // Diff the rows on the main thread (rather than in a Web Worker)
+            worker: false,
+            // Compare all of the fields of the rows (otherwise, the paths of the fields to leave out)
+            ignoreFields: [],
+            // Rows are the same when their JSON is (otherwise, a function comparing the rows, or an object of functions
+            // comparing the fields, by their path)
+            compare: null,
+            // Numbers have to be exactly the same (otherwise, how much they may differ, or an object of those by path)
+            tolerance: 0,
+            // Re-sort and re-filter the rows after each update ('page' to just redraw the page, 'none' to not draw)
+            drawMode: 'full',
+            // Change all of the rows in one animation frame (otherwise, the rows to change per frame)
+            chunkSize: 0,
+            // Apply the changes right away (rather than holding them until liveAjax.applyPending() is called)
+            manualApply: false,
+            // Don't show a banner for the held changes
+            pendingBanner: false,
+            // Text of the banner
+            pendingText: '_TOTAL_ changes available - click to apply',
+            // Don't highlight created/updated rows ('flash' or 'fade' to do so)
+            highlight: false,
+            // Keep the highlight classes on the rows for 3 seconds
+            highlightDuration: 3000,
+            // Classes added to the highlighted rows
+            highlightClasses: {
+                created: 'liveAjax-created',
+                updated: 'liveAjax-updated',
+                deleted: 'liveAjax-deleted'
+            },
+            // Remove deleted rows right away (otherwise, the milliseconds to fade them out for)
+            fadeOutDeleted: 0,
+            // Leave the failed requests while the browser is offline to abortOn ('pause' to pause the updates meanwhile)
+            whenOffline: false,
+            // Don't persist the JSON (true, 'indexedDB' or 'localStorage' to hydrate the table with it on load)
+            persist: false,
+            // Persist it under the path of the page and the table id
+            persistKey: null,
+            // Don't persist JSON over 1 MB (in characters)...
+            persistMaxSize: 1048576,
+            // ... or hydrate the table with JSON older than a day
+            persistTTL: 86400000,
+            // Keep updating while the page is hidden ('pause' or 'slow' to pause or slow down the updates)
+            whenHidden: false,
+            // Never consider the user idle (otherwise, the milliseconds without any user input)
+            idleAfter: 0,
+            // Pause the updates while the user is idle ('slow' to slow them down instead)
+            whenIdle: 'pause',
+            // 1 minute interval when slowed down
+            slowInterval: 60000,
+            // Always poll at the set interval (true to adapt it to how often the data changes)
+            adaptive: false,
+            // Adapt the interval down to 1.5 seconds...
+            minInterval: 1500,
+            // ... and up to 1 minute
+            maxInterval: 60000,
+            // Halve the interval when there are changes, and double it when there aren't
+            adaptiveFactor: 2,
+            // Slow down after 3 responses in a row without any changes
+            slowDownAfter: 3,
+            // JSON field holding the interval (in milliseconds) the server wants to be polled at
+            intervalField: 'pollInterval',
+            // Don't retry after an abortOn status, just end the loop
+            retryAttempts: 0,
+            // Wait 2 seconds before the first retry, doubling it for each retry after that...
+            retryDelay: 2000,
+            // ... up to 1 minute
+            retryMaxDelay: 60000,
+            // Take a random amount of up to half the delay off of each retry
+            retryJitter: 0.5,
+            // Don't make the requests conditional (If-None-Match/If-Modified-Since)
+            ifModified: false,
+            // Don't send the version with each request, and always expect the full data set
+            delta: false,
+            // JSON field holding the version (or cursor) of the data set
+            versionField: 'version',
+            // Parameter the last seen version is sent as
+            versionParam: 'since',
+            // Each table polls for itself (the name of a source, to have one table poll for all the tables naming it)
+            source: null,
+            // Every tab polls for itself (true, or a channel name, to have one tab poll for all of them)
+            shareTabs: false,
+            // The tab polling for the others sends a heartbeat every 2 seconds
+            tabHeartbeat: 2000,
+            // Wait 3 seconds before re-opening a dropped push channel
+            reconnectDelay: 3000,
+            // Fall back to polling after 5 failed attempts to re-open the push channel
+            reconnectAttempts: 5,
+            // Callback for before the changes are applied (returning false to veto them)
+            beforeUpdate: function( updates, json, xhr ){},
             // Callback for when the table is updated
             onUpdate: function( updates, json, xhr ){},
             // Callback for when no data has been updated
             noUpdate: function( json, xhr ){}
         },
         // Minimum setTimeout interval (in MS)
-        _minInterval = 1500; // 1.5 sec
+        _minInterval = 1500, // 1.5 sec
+        // How long a tab waits for any objections to claiming the lead (in MS)
+        _tabClaimWait = 250,
+        // Sources shared by multiple tables (liveAjax.source), by name
+        _sources = {},
+        // Promise of the IndexedDB database holding the snapshots (liveAjax.persist), once opened
+        _snapshotDb = null;
+
+    // Hydrate the table with its snapshot (liveAjax.persist) while the initial load is in progress
+
+    $( document ).on('preInit.dt', function(e, dtSettings) {
+        var persist;
+
+        if ( e.namespace !== 'dt' )
+            return;
+
+        persist = _fnPersistSettings( dtSettings );
+
+        if ( persist === null || dtSettings.oInit.ajax === undefined )
+            return;
+
+        _fnLoadSnapshot( persist ).then( function ( json ) {
+            // The initial load beat the snapshot to it
+            if ( json !== null && dtSettings.liveAjax === undefined && ! dtSettings._bInitComplete )
+                _fnHydrate( dtSettings, json );
+        } );
+    });
 
     // Plugin Initialization on DT Init
 
@@ -714,91 +4859,457 @@
                     ? _options[ item ]
                     : defaultVal;
             },
-            _processNewJson = function( json ) {
-                // If somehow the dtSettings.liveAjax.previousJson got wiped out, define it and quit processing
-                if ( dtSettings.liveAjax.previousJson === undefined ) {
-                    dtSettings.liveAjax.previousJson = json;
+            // Implement the created/deleted/updated rows in the table (createKeys being the keys of
+            // the created rows, if the rows came as an object keyed by their id). The rows are changed in
+            // batches; all at once, or liveAjax.chunkSize rows per animation frame, executing the callback once
+            // all of them are done. Keyed rows are reconciled with the table if it was left behind the JSON the
+            // changes were diffed against (see _fnDiscardPending); updated rows it lacks are created, and created
+            // rows it already has are updated
+            _applyChanges = function( updates, json, createKeys, reconcile, callback ) {
+                var indexes = _fnKeyIndexes( dtSettings ),
+                    chunkSize = dtSettings.liveAjax.chunkSize > 0 ? dtSettings.liveAjax.chunkSize : Infinity,
+                    // [ index, data ] of each updated row, followed by [ null, data, key ] of each created row
+                    rows = [],
+                    created = [],
+                    deleted;
+
+                // Updated rows
+                if ( updates.update !== undefined )
+                    $.each( updates.update, function ( id, data ) {
+                        if ( indexes[ id ] !== undefined )
+                            rows.push( [ indexes[ id ][0], data ] );
+                        else if ( reconcile )
+                            created.push( [ null, data, id ] );
+                    });
+
+                // Deleted rows (a key is listed once for each of the identical rows deleted, when diffed by content)
+                deleted = $.map( updates.delete || [], function ( v, i ) {
+                    return indexes[ v ] !== undefined ? indexes[ v ].shift() : null;
+                } );
+
+                // Created rows
+                $.each( updates.create || [], function ( i, data ) {
+                    var key = createKeys !== undefined ? createKeys[ i ] : undefined,
+                        id = key !== undefined ? key : dtSettings.liveAjax.getRowKey( data );
+
+                    if ( reconcile && id !== undefined && indexes[ id ] !== undefined )
+                        rows.push( [ indexes[ id ][0], data ] );
+                    else
+                        created.push( [ null, data, key ] );
+                });
+
+                rows = rows.concat( created );
+
+                (function applyChunk( start ) {
+                    var end = Math.min( start + chunkSize, rows.length ),
+                        updated = [],
+                        created = [],
+                        keys = [];
+
+                    // The table was destroyed while waiting for the frame
+                    if ( dtSettings.liveAjax.rendering !== true )
+                        return;
+
+                    for ( var i = start; i < end; i++ ) {
+                        if ( rows[ i ][0] !== null ) {
+                            _fnSetRowData( dtSettings, rows[ i ][0], rows[ i ][1] );
+                            updated.push( rows[ i ][0] );
+                        }
+                        else {
+                            created.push( rows[ i ][1] );
+                            keys.push( rows[ i ][2] );
+                        }
+                    }
+
+                    // Have DataTables re-read all of the updated rows at once (rather than one row().data() each)
+                    if ( updated.length !== 0 )
+                        _fnHighlightRows( dtSettings, _api.rows( updated ).invalidate( 'data' ), 'updated' );
+
+                    if ( created.length !== 0 )
+                        _fnHighlightRows( dtSettings, _fnAddRows( dtSettings, created, createKeys !== undefined ? keys : undefined ), 'created' );
+
+                    if ( end < rows.length ) {
+                        _fnNextFrame( _fnGuardReloads( dtSettings, function () {
+                            applyChunk( end );
+                        } ) );
+                        return;
+                    }
+
+                    // The deleted rows go last, since removing rows changes the indexes of the rows after them
+                    if ( deleted.length !== 0 )
+                        _fnRemoveRows( dtSettings, _api.rows( deleted ) );
+
+                    // Update the DataTables JSON content
+                    dtSettings.json = json;
+
+                    // Update the object with any changes between the two JSON data sources
+                    dtSettings.liveAjax.lastUpdates = updates;
+
+                    // Update the last update date
+                    dtSettings.liveAjax.lastUpdate = new Date();
+
+                    // Increment the total updates #
+                    dtSettings.liveAjax.totalUpdates ++;
+
+                    callback();
+                })( 0 );
+            },
+            // Clear the table and re-add all rows, highlighting the created/updated ones if the updates are known
+            _replaceRows = function( rows, updates ) {
+                var created = [],
+                    updated = [];
+
+                // The table is caught up with the JSON (see _fnDiscardPending)
+                dtSettings.liveAjax.discarded = null;
+
+                $.each( _api.clear().rows.add( rows ).indexes().toArray(), function ( i, idx ) {
+                    if ( updates === null )
+                        return;
+
+                    if ( $.inArray( rows[ i ], updates.create ) !== -1 )
+                        created.push( idx );
+                    else if ( updates.update[ dtSettings.liveAjax.getRowKey( rows[ i ] ) ] !== undefined )
+                        updated.push( idx );
+                } );
+
+                _fnHighlightRows( dtSettings, _api.rows( created ), 'created' );
+                _fnHighlightRows( dtSettings, _api.rows( updated ), 'updated' );
+
+                if ( updates !== null ) {
+                    dtSettings.liveAjax.lastUpdates = updates;
+                    dtSettings.liveAjax.lastUpdate = new Date();
+                    dtSettings.liveAjax.totalUpdates ++;
+                }
+            },
+            // Implement the changes _processNewJson found (possibly in the diff worker) in the next animation
+            // frame, then fire the onUpdate or noUpdate callbacks/events. Held changes (liveAjax.manualApply) are
+            // applied with force
+            _applyUpdate = function( change, force ) {
+                var queued = dtSettings.liveAjax.queuedJson,
+                    changed = change.updates !== null || change.replaceRows !== null;
+
+                // Poll faster or slower depending on how often the data changes (liveAjax.adaptive)
+                if ( force !== true )
+                    _fnAdaptInterval( dtSettings, change.xhr, change.original, changed );
+
+                // The user started interacting with the table while the diff worker was busy, so hold on to the
+                // (latest) JSON until they're done
+                if ( force !== true && _isInteracting( dtSettings ) ) {
+                    dtSettings.liveAjax.queuedJson = null;
+                    dtSettings.liveAjax.heldJson = queued !== null ? queued.json : change.original;
+                    _fnSettleReloads( dtSettings, { changed: false, updates: null, json: dtSettings.liveAjax.heldJson, held: true } );
                     return;
                 }
 
-                // Update to true if any changes were made - to redraw the table
-                var doDraw = false;
+                // Hold on to the changes until they're applied (unless that was asked for while they were being diffed).
+                // They're diffed against the rows in the table, so they include the changes held before them
+                if ( dtSettings.liveAjax.manualApply === true && force !== true && dtSettings.liveAjax.applyQueued !== true ) {
+                    if ( changed ) {
+                        change.counts = _fnPendingCounts( dtSettings, change );
+                        change.draw = dtSettings.iDraw;
 
-                // If the rowId _does NOT exist_, then update the table based on an diff of the entire JSON content
-                if ( json[ dtSettings.liveAjax.dataSrc ][0][ dtSettings.liveAjax.rowId ] === undefined ){
-                    // Compare two dataSources, and just quit if they are the same
-                    if ( JSON.stringify( dtSettings.liveAjax.previousJson[ dtSettings.liveAjax.dataSrc ] ) !== JSON.stringify( json[ dtSettings.liveAjax.dataSrc ] ) ) {
-                        // Clear the table and re-add all rows
-                        _api.clear().rows.add( json[ dtSettings.liveAjax.dataSrc ] );
+                        dtSettings.liveAjax.queuedJson = null;
 
-                        doDraw = true;
+                        _fnSetPending( dtSettings, change );
+
+                        if ( queued !== null )
+                            _processNewJson( queued.json, queued.xhr );
+                        else
+                            _fnSettleReloads( dtSettings, { changed: false, updates: change.updates, json: change.json, pending: $.extend( {}, change.counts ) } );
+
+                        return;
                     }
+
+                    // The rows are back to what the table has (rather than this being the last response again, from
+                    // a 304 Not Modified), so there's nothing left to apply
+                    if ( change.json !== dtSettings.liveAjax.previousJson )
+                        _fnSetPending( dtSettings, null );
                 }
-                // If the rowId _does exist_, then just delete/add the correct rows
-                else {
-                    // @todo make sure that the new JSON has the correct columns, but don't compare it with the old JSON, since the structure can be different, as long as the columns.name values all exist as keys
 
-                    // Updates array, will be null if no updates
-                    var updates = _fnGetChanges(
-                        _fnKeyStructData( dtSettings.liveAjax.rowId, dtSettings.liveAjax.previousJson[ dtSettings.liveAjax.dataSrc ] ),
-                        _fnKeyStructData( dtSettings.liveAjax.rowId, json[ dtSettings.liveAjax.dataSrc ] )
-                    );
+                dtSettings.liveAjax.applyQueued = false;
+
+                // The beforeUpdate callback/event can veto the changes (the next update compares to the same rows
+                // again, so it fires with them again), or drop or change some of them
+                if ( changed && _fnBeforeUpdate( dtSettings, change ) === false ) {
+                    dtSettings.liveAjax.queuedJson = null;
+
+                    // Held changes (which these include) stay held
+                    if ( dtSettings.liveAjax.manualApply === true && dtSettings.liveAjax.pendingChange !== change ) {
+                        change.counts = _fnPendingCounts( dtSettings, change );
+                        change.draw = dtSettings.iDraw;
+
+                        _fnSetPending( dtSettings, change );
+                    }
+
+                    if ( queued !== null )
+                        _processNewJson( queued.json, queued.xhr );
+                    else
+                        _fnSettleReloads( dtSettings, { changed: false, updates: null, json: change.json, vetoed: true } );
 
-                    // If any discrepancies were _not_ found, then dont go any further.
-                    if( updates !== null ) {
-                        // Updated rows
-                        if ( updates.update !== undefined && Object.keys( updates.update ).length !== 0 )
-                            $.each( updates.update, function ( id, data ) {
-                                _api.row('#'+id).data( data );
-                            });
+                    return;
+                }
 
-                        // Deleted rows
-                        if ( updates.delete !== undefined && updates.delete.length !== 0 )
-                            _api.rows( $.map( updates.delete, function ( v, i ) {
-                                return '#' + v;
-                            } ) ).remove();
+                // Whatever changes were held are part of these
+                if ( changed )
+                    _fnSetPending( dtSettings, null );
 
-                        // Created rows
-                        if ( updates.create !== undefined && updates.create.length !== 0 )
-                            _api.rows.add( updates.create );
+                changed = change.updates !== null || change.replaceRows !== null;
+
+                // Nothing to change in the table
+                if ( ! changed ) {
+                    _finishUpdate( change, null );
+                    return;
+                }
 
-                        // Update the DataTables JSON content
-                        dtSettings.json = json;
+                // Any JSON that comes in meanwhile waits until the table is done being changed
+                dtSettings.liveAjax.rendering = true;
 
-                        // Update the object with any changes between the two JSON data sources
-                        dtSettings.liveAjax.lastUpdates = updates;
+                _fnNextFrame( _fnGuardReloads( dtSettings, function () {
+                    var state = null;
 
-                        // Update the last update date
-                        dtSettings.liveAjax.lastUpdate = new Date();
+                    // The table was destroyed while waiting for the frame
+                    if ( dtSettings.liveAjax.rendering !== true )
+                        return;
 
-                        // Increment the total updates #
-                        dtSettings.liveAjax.totalUpdates ++;
+                    // Keep what the user was doing intact
+                    if ( dtSettings.liveAjax.preserveState === true )
+                        state = _fnSaveState( dtSettings );
 
-                        doDraw = true;
+                    // Clear the table and re-add all rows
+                    if ( change.replaceRows !== null ) {
+                        _replaceRows( change.replaceRows, change.updates );
+                        _finishUpdate( change, state );
+                    }
+                    else {
+                        _applyChanges( change.updates, change.json, change.createKeys,
+                            dtSettings.liveAjax.discarded !== null && change.byContent !== true && ! dtSettings.oFeatures.bServerSide,
+                            function () {
+                                _finishUpdate( change, state );
+                            } );
                     }
+                } ) );
+            },
+            // Redraw the table once the changes are in (state being what _fnSaveState saved before), fire the
+            // onUpdate or noUpdate callbacks/events, and process any JSON that came in meanwhile
+            _finishUpdate = function( change, state ) {
+                var json = change.json,
+                    updates = change.updates,
+                    queued = dtSettings.liveAjax.queuedJson,
+                    changed = updates !== null || change.replaceRows !== null;
+
+                dtSettings.liveAjax.queuedJson = null;
+                dtSettings.liveAjax.rendering = false;
+
+                // The diffed rows are what the next rows get diffed against
+                if ( change.cache !== null ) {
+                    dtSettings.liveAjax.diffCache = change.cache;
+                    dtSettings.liveAjax.workerBase = change.workerId;
                 }
 
-                // Redraw the table if needed
-                if ( doDraw === true ) {
-                    _api.draw( dtSettings.liveAjax.resetPaging );
+                // Keep track of the version, to be sent with the next request
+                if ( dtSettings.liveAjax.delta === true && change.version !== undefined )
+                    dtSettings.liveAjax.version = change.version;
+
+                // This JSON (and its rows) is what the next one gets compared to
+                dtSettings.liveAjax.previousJson = json;
+                dtSettings.liveAjax.previousData = change.data;
+
+                // Which is up to date, and the snapshot to hydrate the table with next time (liveAjax.persist)
+                if ( dtSettings.liveAjax.stale === true && dtSettings.liveAjax.offline !== true )
+                    _fnSetStale( dtSettings, false );
+
+                _fnSaveSnapshot( dtSettings );
+
+                if ( changed ) {
+                    // Redraw the table as liveAjax.drawMode says
+                    _fnRedraw( dtSettings,
+                        change.replaceRows !== null || ( updates.create !== undefined && updates.create.length !== 0 ),
+                        queued === null ? _fnResetPaging( dtSettings ) : dtSettings.liveAjax.resetPaging );
+
+                    if ( state !== null )
+                        _fnRestoreState( dtSettings, state );
 
                     // Fire the onUpdate.liveAjax event
-                    _fnCallbackFire( dtSettings, null, 'onUpdate', [ dtSettings, updates, json, dtSettings.jqXHR ], 'liveAjax' );
+                    _fnCallbackFire( dtSettings, null, 'onUpdate', [ dtSettings, updates, json, change.xhr ], 'liveAjax' );
 
                     // Fire off the onUpdate callback from the liveAjax settings, if specified
                     if ( dtSettings.liveAjax.callbacks.onUpdate !== undefined )
-                        dtSettings.liveAjax.callbacks.onUpdate( updates, json, dtSettings.jqXHR );
+                        dtSettings.liveAjax.callbacks.onUpdate( updates, json, change.xhr );
                 }
                 else {
+                    // The rows are the same, but the info and paging controls still need to show the new counts
+                    if ( change.countsChanged === true )
+                        _fnDrawPage( dtSettings );
+
                     // Fire the noUpdate.liveAjax event
-                    _fnCallbackFire( dtSettings, null, 'noUpdate', [ dtSettings, json, dtSettings.jqXHR ], 'liveAjax' );
+                    _fnCallbackFire( dtSettings, null, 'noUpdate', [ dtSettings, json, change.xhr ], 'liveAjax' );
 
                     // Fire off the noUpdate callback from the liveAjax settings, if specified
                     if ( dtSettings.liveAjax.callbacks.noUpdate !== undefined )
-                        dtSettings.liveAjax.callbacks.noUpdate( json, dtSettings.jqXHR );
+                        dtSettings.liveAjax.callbacks.noUpdate( json, change.xhr );
                 }
 
-            };
+                // JSON that came in while the diff worker was busy, or the table was being changed
+                if ( queued !== null )
+                    _processNewJson( queued.json, queued.xhr );
+                else
+                    _fnSettleReloads( dtSettings, { changed: changed, updates: updates, json: json } );
+            },
+            // Anything thrown handling the JSON fails the reloads waiting on it (see _fnGuardReloads)
+            _processNewJson = _fnGuardReloads( dtSettings, function( json, xhr ) {
+                // Pushed JSON comes with the channel it was pushed through, rather than the jqXHR
+                xhr = xhr || dtSettings.jqXHR;
+
+                // Don't change the table under the user, hold on to the JSON until they're done
+                if ( _isInteracting( dtSettings ) ) {
+                    dtSettings.liveAjax.heldJson = json;
+                    _fnSettleReloads( dtSettings, { changed: false, updates: null, json: json, held: true } );
+                    return;
+                }
+
+                // If somehow the dtSettings.liveAjax.previousJson got wiped out, define it and quit processing
+                if ( dtSettings.liveAjax.previousJson === undefined ) {
+                    dtSettings.liveAjax.previousJson = json;
+                    dtSettings.liveAjax.previousData = _fnGetData( dtSettings, json );
+                    _fnSettleReloads( dtSettings, { changed: false, updates: null, json: json } );
+                    return;
+                }
+
+                // The diff worker is still busy with the last JSON (or the table is still being changed), so process
+                // this (or whatever comes after it) once its done
+                if ( dtSettings.liveAjax.diffing === true || dtSettings.liveAjax.rendering === true ) {
+                    dtSettings.liveAjax.queuedJson = { json: json, xhr: xhr };
+                    return;
+                }
+
+                // The rows the last JSON held
+                var previousData = dtSettings.liveAjax.previousData,
+                    // Delta responses hold the changes rather than the rows, so the rows are rebuilt from them
+                    isDelta = json !== dtSettings.liveAjax.previousJson && ! dtSettings.oFeatures.bServerSide && _fnIsDelta( dtSettings, json ),
+                    // Everything _applyUpdate needs to implement the changes
+                    change = {
+                        json: json,
+                        // The JSON as it was received (the json element is rebuilt from delta responses)
+                        original: json,
+                        xhr: xhr,
+                        // The rows this JSON holds
+                        data: json === dtSettings.liveAjax.previousJson
+                            ? previousData
+                            : ( isDelta ? null : _fnGetData( dtSettings, json ) ),
+                        version: $.isPlainObject( json )
+                            ? json[ dtSettings.liveAjax.versionField ]
+                            : undefined,
+                        updates: null,
+                        // Rows to replace all the table rows with, when there's no rowId to diff by
+                        replaceRows: null,
+                        // Keys of the created rows, when the rows are an object keyed by their id
+                        createKeys: undefined,
+                        // Server-side processing only, if the recordsTotal/recordsFiltered changed
+                        countsChanged: false,
+                        // The keys and hashes of the diffed rows (see _fnDiffSource)
+                        cache: null,
+                        workerId: null,
+                        // The rows were diffed by their content (liveAjax.hashRows)
+                        byContent: false
+                    },
+                    byContent;
+
+                // Same JSON as last time (304 Not Modified), so there's nothing to compare
+                if ( json === dtSettings.liveAjax.previousJson ) {
+                    change.updates = null;
+                }
+                // Server-side processing tables hold just the current page, so compare that page as the table has it
+                else if ( dtSettings.oFeatures.bServerSide ) {
+                    // Out of sequence - the user has paged/ordered/searched since this was requested
+                    if ( json.draw !== undefined && json.draw * 1 < dtSettings.iDraw ) {
+                        _fnSettleReloads( dtSettings, { changed: false, updates: null, json: json, stale: true } );
+                        return;
+                    }
+
+                    var pageRows = change.data,
+                        discarded = dtSettings.liveAjax.discarded,
+                        // The page the held changes of were discarded is compared with the rows they came as instead
+                        currentRows = discarded !== null && discarded.draw === dtSettings.iDraw
+                            ? discarded.data
+                            : _api.rows().data().toArray(),
+                        // Rows without keys are diffed by their content, if liveAjax.hashRows is on
+                        diff = _fnIsKeyed( dtSettings, pageRows ) || dtSettings.liveAjax.hashRows === true
+                            ? _fnDiffRows( dtSettings, currentRows, pageRows, ! _fnIsKeyed( dtSettings, pageRows ) )
+                            : false;
+
+                    if ( diff !== false )
+                        change.updates = diff.updates;
+
+                    // Created/deleted rows change the page (which the server orders), so rebuild it. So do the rows
+                    // compared as a whole, for any difference (including the order)
+                    if ( diff !== false
+                        ? change.updates !== null && ( change.updates.create.length !== 0 || change.updates.delete.length !== 0 )
+                        : ! _fnSameRows( dtSettings, currentRows, pageRows ) )
+                        change.replaceRows = pageRows;
+
+                    change.countsChanged = _fnUpdateRecordCounts( dtSettings, json );
+                }
+                // If the JSON is a delta, then it only holds the changes since the version we sent
+                else if ( isDelta ) {
+                    var delta = _fnApplyDelta( dtSettings.liveAjax.getRowKey, previousData, json );
+
+                    change.data = delta.data;
+
+                    // Rebuild the full JSON, so the next response (delta or not) has something to be compared to
+                    change.json = _fnSetData( dtSettings, dtSettings.liveAjax.previousJson, change.data );
+
+                    if ( change.version !== undefined && $.isPlainObject( change.json ) )
+                        change.json[ dtSettings.liveAjax.versionField ] = change.version;
+
+                    dtSettings.json = change.json;
+
+                    change.updates = delta.updates;
+                }
+                // If the rowId _does NOT exist_, then update the table based on an diff of the entire JSON content
+                // (unless liveAjax.hashRows is on, to diff the rows by their content)
+                else if ( ! _fnIsKeyed( dtSettings, change.data ) && ! _fnIsKeyed( dtSettings, previousData ) && dtSettings.liveAjax.hashRows !== true ){
+                    // Compare two dataSources, and just quit if they are the same (keeping the rows the table has to
+                    // compare the next ones to, if they only differ in what's ignored)
+                    if ( ! _fnSameRows( dtSettings, previousData, change.data ) )
+                        change.replaceRows = change.data;
+                    else
+                        change.data = previousData;
+                }
+                // If the rowId _does exist_ (or the rows are keyed by it), then just delete/add the correct rows
+                else {
+                    // @todo make sure that the new JSON has the correct columns, but don't compare it with the old JSON, since the structure can be different, as long as the columns.name values all exist as keys
+                    byContent = change.byContent = ! _fnIsKeyed( dtSettings, change.data ) && ! _fnIsKeyed( dtSettings, previousData );
+
+                    // This may be done in the diff worker, in which case the rest is done once its finished
+                    _fnDiff( dtSettings, previousData, change.data, byContent, _fnGuardReloads( dtSettings, function ( diff ) {
+                        // Any of the rows missing their key means they're compared as a whole
+                        if ( diff === false ) {
+                            if ( ! _fnSameRows( dtSettings, previousData, change.data ) )
+                                change.replaceRows = change.data;
+                            else
+                                change.data = previousData;
+                        }
+                        else {
+                            change.updates = diff.updates;
+                            change.cache = diff.cache;
+
+                            // The rows considered the same keep the data the table has (see _fnConfirmUpdates)
+                            change.data = diff.cache.source;
+                            change.workerId = diff.workerId !== undefined ? diff.workerId : null;
+
+                            // The keys of rows from an object of rows need to be kept with the rows
+                            if ( $.isPlainObject( change.data ) )
+                                change.createKeys = diff.createKeys;
+                        }
+
+                        _applyUpdate( change );
+                    } ) );
+
+                    return;
+                }
+
+                _applyUpdate( change );
+            } );
 
         // Populate the dtSettings.liveAjax namespace from the init settings
         dtSettings.liveAjax = {
@@ -812,34 +5323,210 @@
             dtCallbacks: _getOpt('dtCallbacks'),
             resetPaging: _getOpt('resetPaging'),
             abortOn: _getOpt('abortOn', 'array'),
+            transport: $.inArray( _getOpt('transport'), [ 'sse', 'websocket' ] ) !== -1
+                ? _getOpt('transport')
+                : 'poll',
+            pushUrl: _getOpt('pushUrl', 'string'),
+            // Server-side processing tables request what's on their own page, so there's nothing to share
+            shareTabs: _getOpt('shareTabs') === true || ( _getOpt('shareTabs') && $.type( _getOpt('shareTabs') ) === 'string' )
+                ? ( dtSettings.oFeatures.bServerSide ? false : _getOpt('shareTabs') )
+                : false,
+            // Delta responses depend on the version each table is at, and server-side processing tables request
+            // what's on their own page
+            source: _getOpt('source', 'string') && _getOpt('delta') !== true && ! dtSettings.oFeatures.bServerSide
+                ? _getOpt('source', 'string')
+                : null,
+            tabHeartbeat: Math.max( parseInt( _getOpt('tabHeartbeat') ) || _defaults.tabHeartbeat, 500 ),
+            requestWith: $.isFunction( _getOpt('requestWith') )
+                ? _getOpt('requestWith')
+                : ( _getOpt('requestWith') === 'fetch' && $.isFunction( window.fetch ) ? 'fetch' : 'ajax' ),
+            callbackTimeout: Math.max( parseInt( _getOpt('callbackTimeout') ) || 0, 0 ),
+            autoPause: _getOpt('autoPause') === true
+                ? { focus: true, selection: true, pointer: true }
+                : $.extend( { focus: false, selection: false, pointer: false }, _getOpt('autoPause', 'object') ),
+            preserveState: _getOpt('preserveState') === true,
+            highlight: _getOpt('highlight') === true
+                ? 'fade'
+                : ( $.inArray( _getOpt('highlight'), [ 'flash', 'fade' ] ) !== -1 ? _getOpt('highlight') : false ),
+            highlightDuration: parseInt( _getOpt('highlightDuration') ),
+            highlightClasses: $.extend( {}, _defaults.highlightClasses, _getOpt('highlightClasses', 'object') ),
+            fadeOutDeleted: parseInt( _getOpt('fadeOutDeleted') ) || 0,
+            whenHidden: $.inArray( _getOpt('whenHidden'), [ 'pause', 'slow' ] ) !== -1
+                ? _getOpt('whenHidden')
+                : false,
+            idleAfter: parseInt( _getOpt('idleAfter') ) || 0,
+            whenOffline: _getOpt('whenOffline') === 'pause' ? 'pause' : false,
+            persist: _fnPersistSettings( dtSettings ),
+            whenIdle: _getOpt('whenIdle') === 'slow' ? 'slow' : 'pause',
+            slowInterval: parseInt( _getOpt('slowInterval') ),
+            adaptive: _getOpt('adaptive') === true,
+            minInterval: Math.max( parseInt( _getOpt('minInterval') ) || _minInterval, _minInterval ),
+            maxInterval: parseInt( _getOpt('maxInterval') ) || _defaults.maxInterval,
+            adaptiveFactor: parseFloat( _getOpt('adaptiveFactor') ) > 1
+                ? parseFloat( _getOpt('adaptiveFactor') )
+                : _defaults.adaptiveFactor,
+            slowDownAfter: Math.max( parseInt( _getOpt('slowDownAfter') ) || 1, 1 ),
+            intervalField: _getOpt('intervalField', 'string'),
+            retryAttempts: parseInt( _getOpt('retryAttempts') ),
+            retryDelay: parseInt( _getOpt('retryDelay') ),
+            retryMaxDelay: parseInt( _getOpt('retryMaxDelay') ),
+            retryJitter: Math.min( Math.max( parseFloat( _getOpt('retryJitter') ), 0 ), 1 ),
+            ifModified: _getOpt('ifModified') === true,
+            delta: _getOpt('delta') === true,
+            versionField: _getOpt('versionField', 'string'),
+            versionParam: _getOpt('versionParam', 'string'),
+            reconnectDelay: parseInt( _getOpt('reconnectDelay') ),
+            reconnectAttempts: parseInt( _getOpt('reconnectAttempts') ),
             callbacks: {
+                beforeUpdate: _getOpt('beforeUpdate', 'function'),
                 onUpdate: _getOpt('onUpdate', 'function'),
                 noUpdate:  _getOpt('noUpdate', 'function')
             },
             // Settings pulled from the DataTable core settings object
             rowId: dtSettings.rowId,
-            dataSrc: dtSettings.ajax.dataSrc || 'data',
+            rowKey: $.inArray( $.type( _getOpt('rowKey') ), [ 'string', 'number', 'array', 'function' ] ) !== -1
+                ? _getOpt('rowKey')
+                : null,
+            hashRows: _getOpt('hashRows') === true,
+            worker: _getOpt('worker') === true && typeof window.Worker === 'function',
+            ignoreFields: $.map( $.makeArray( _getOpt('ignoreFields') ), function ( path ) {
+                return path === null ? null : path.toString();
+            } ),
+            compare: $.isFunction( _getOpt('compare') ) || $.isPlainObject( _getOpt('compare') )
+                ? _getOpt('compare')
+                : null,
+            tolerance: $.isPlainObject( _getOpt('tolerance') )
+                ? _getOpt('tolerance')
+                : parseFloat( _getOpt('tolerance') ) || 0,
+            drawMode: $.inArray( _getOpt('drawMode'), [ 'page', 'none' ] ) !== -1
+                ? _getOpt('drawMode')
+                : 'full',
+            chunkSize: parseInt( _getOpt('chunkSize') ) || 0,
+            manualApply: _getOpt('manualApply') === true,
+            pendingBanner: _getOpt('pendingBanner') === true,
+            pendingText: _getOpt('pendingText', 'string'),
+            getRowKey: _fnRowKeyFn( $.inArray( $.type( _getOpt('rowKey') ), [ 'string', 'number', 'array', 'function' ] ) !== -1
+                ? _getOpt('rowKey')
+                : dtSettings.rowId ),
+            dataSrc: _fnDataSrc( dtSettings ),
             previousJson: dtSettings.json,
+            previousData: null,
+            version: dtSettings.json !== undefined && dtSettings.json[ _getOpt('versionField', 'string') ] !== undefined
+                ? dtSettings.json[ _getOpt('versionField', 'string') ]
+                : null,
             // Settings used internally by Live Ajax, or for the API Calls
             paused: false,
+            pausedFor: {},
+            inactive: {
+                hidden: false,
+                idle: false
+            },
+            missedUpdate: false,
+            offline: false,
+            // The loop gave up while the browser was offline (see _catchUp)
+            stoppedOffline: false,
+            stale: false,
+            persistedJson: undefined,
+            persistTimer: null,
+            lastActivity: null,
+            idleTimer: null,
             latestError: null,
             updateLoop: null,
+            looping: false,
+            loopRun: 0,
+            tabs: null,
+            channel: null,
+            connection: null,
+            pushOpened: false,
+            reconnectCount: 0,
+            reconnectTimer: null,
+            retryCount: 0,
+            quietPolls: 0,
+            heldJson: null,
+            queuedJson: null,
+            reloads: [],
+            diffCache: null,
+            diffing: false,
+            rendering: false,
+            removals: [],
+            pendingChange: null,
+            applyQueued: false,
+            discarded: null,
+            banner: null,
+            diffWorker: null,
+            workerBase: null,
+            workerId: 0,
+            lastDiffDuration: null,
+            etag: null,
+            lastModified: null,
             totalUpdates: 0,
             totalIterations: 0,
             lastCheck: null,
             lastUpdate: null,
             lastIteration: null,
+            // Compare JSON with the previous JSON and update the table accordingly (Used by the push channel)
+            processJson: _processNewJson,
+            // Apply the changes held by liveAjax.manualApply
+            applyPending: function() {
+                var change = dtSettings.liveAjax.pendingChange;
+
+                // The latest JSON is still being diffed, and will hold these changes too, so apply it once its done
+                if ( dtSettings.liveAjax.diffing === true ) {
+                    dtSettings.liveAjax.applyQueued = true;
+                    return;
+                }
+
+                if ( change === null )
+                    return;
+
+                // The user went to another page of a server-side processing table, which got the rows from the
+                // server anyway
+                if ( dtSettings.oFeatures.bServerSide && change.draw !== dtSettings.iDraw ) {
+                    _fnSetPending( dtSettings, null );
+                    return;
+                }
+
+                // They're dropped once they're let through by liveAjax.beforeUpdate
+                _applyUpdate( change, true );
+            },
             // Method to initialize the XHR request to get the current JSON, then compare
-            // it with the old JSON by attaching _processNewJson as the callback
+            // it with the old JSON by attaching _processNewJson as the callback. Returns true if
+            // the request was made, false if it was skipped
             initReload: function( pollingFn, overridePause, doneCallback, failCallback, alwaysCallback ) {
+                var skipReason;
+
                 // Only execute if there's not already an update in progress, and its not paused (can override pause)
-                if( _isXhrClear( dtSettings) && ( dtSettings.liveAjax.paused === false || overridePause === true ) ) {
+                if( _isXhrClear( dtSettings) && ( ! _isPaused( dtSettings ) || overridePause === true ) ) {
+                    dtSettings.liveAjax.missedUpdate = false;
+
                     // Process settings and init XHR req
                     _fnBuildAjax(
                         dtSettings,
-                        // @todo Is the below important for this usage?..
-                        [], //_fnAjaxParameters( dtSettings ),
-                        _processNewJson
+                        _fnAjaxParameters( dtSettings ),
+                        function ( json ) {
+                            // A 304 Not Modified hands back the JSON we already have, which the other tabs have too
+                            var notModified = json === dtSettings.liveAjax.previousJson;
+
+                            // The reloads waiting on this response get resolved once it's been handled
+                            $.each( dtSettings.liveAjax.reloads, function ( i, reload ) {
+                                reload.responded = true;
+                            } );
+
+                            // The loop only polled for the other tables sharing the source, this one's updates are paused
+                            if ( typeof pollingFn === 'function' && _isPaused( dtSettings ) )
+                                dtSettings.liveAjax.heldJson = json;
+                            else
+                                _processNewJson( json );
+
+                            // Hand the response over to the other tabs sharing the polling, and the other tables
+                            // sharing the source (only the responses polled for them)
+                            if ( ! notModified ) {
+                                _fnTabRelay( dtSettings, json );
+
+                                if ( typeof pollingFn === 'function' )
+                                    _fnSourceRelay( dtSettings, json );
+                            }
+                        }
                     );
 
                     // XHR Callbacks..
@@ -855,38 +5542,163 @@
                         .always( function ( data_jqXHR, textStatus, jqXHR_errorThrown ) {
                             if ( typeof alwaysCallback === 'function')
                                 alwaysCallback( data_jqXHR, textStatus, jqXHR_errorThrown );
+
+                            // Execute the polling function once the request is finished, if it was specified
+                            if ( typeof pollingFn === 'function')
+                                pollingFn( dtSettings );
                         } );
-                }
-                else {
-                    // If an iteration was skipped, fire the Skipped event and log why
-                    _fnCallbackFire( dtSettings, null, 'xhrSkipped', [ dtSettings, ( dtSettings.jqXHR.readyState < XHR_STATE_COMPLETE ? 'processing' : 'paused') ], 'liveAjax' );
 
-                    // Execute the always callback, since
-                    if ( typeof alwaysCallback === 'function') {
-                        alwaysCallback( data_jqXHR, textStatus, jqXHR_errorThrown );
-                    }
+                    return true;
                 }
 
-                // Execute the polling function, if it was specified
-                if ( typeof pollingFn === 'function') {
-                    pollingFn( dtSettings );
-                }
+                skipReason = _isXhrClear( dtSettings ) ? 'paused' : 'processing';
+
+                // If an iteration was skipped, fire the Skipped event and log why
+                _fnCallbackFire( dtSettings, null, 'xhrSkipped', [ dtSettings, skipReason ], 'liveAjax' );
+
+                // Remember to catch up once the updates are resumed
+                if ( skipReason === 'paused' )
+                    dtSettings.liveAjax.missedUpdate = true;
+
+                // Execute the always callback, since there won't be a request to execute it (handing it the
+                // jqXHR and the reason in place of the error)
+                if ( typeof alwaysCallback === 'function')
+                    alwaysCallback( dtSettings.jqXHR, 'skipped', skipReason );
+
+                // Execute the polling function, if it was specified (flagging that there was no request)
+                if ( typeof pollingFn === 'function')
+                    pollingFn( dtSettings, true );
+
+                return false;
             }
         };
 
+        // The tabs sharing the polling need to make the same request, which can't be told for requests made by a
+        // function, so those need a name of their own
+        if ( dtSettings.liveAjax.shareTabs === true && _fnTabChannelName( dtSettings ) === null ) {
+            _fnLog( dtSettings, 1, 'liveAjax.shareTabs needs a name for tables requesting through a function - not sharing the polling' );
+
+            dtSettings.liveAjax.shareTabs = false;
+        }
+
+        // The table was hydrated with its snapshot (liveAjax.persist) while the initial load was in progress,
+        // so put the rows of the snapshot back in place of the rows DataTables added, then diff the JSON of
+        // the initial load against them (once the updates are initialized)
+        var snapshot = $.data( dtSettings.nTable, 'liveAjaxSnapshot' ),
+            initJson;
+
+        if ( snapshot !== undefined ) {
+            $.removeData( dtSettings.nTable, 'liveAjaxSnapshot' );
+
+            initJson = dtSettings.json;
+
+            _api.clear();
+
+            dtSettings.liveAjax.previousJson = snapshot;
+            dtSettings.liveAjax.version = snapshot[ dtSettings.liveAjax.versionField ] !== undefined
+                ? snapshot[ dtSettings.liveAjax.versionField ]
+                : null;
+
+            _fnSetStale( dtSettings, true );
+        }
+
+        // The rows of the JSON the table was initialized with, which the first update gets compared to
+        if ( dtSettings.liveAjax.previousJson !== undefined )
+            dtSettings.liveAjax.previousData = _fnGetData( dtSettings, dtSettings.liveAjax.previousJson );
+
+        if ( snapshot !== undefined && $.isArray( dtSettings.liveAjax.previousData ) ) {
+            _fnAddRows( dtSettings, dtSettings.liveAjax.previousData );
+
+            _api.draw( false );
+        }
+
+        // DataTables only reads an array of rows, so the rows of a keyed object need to be added here
+        if ( $.isPlainObject( dtSettings.liveAjax.previousData ) && ! dtSettings.oFeatures.bServerSide ) {
+            var initKeys = Object.keys( dtSettings.liveAjax.previousData ),
+                initRows = [];
+
+            $.each( initKeys, function ( i, key ) {
+                initRows.push( dtSettings.liveAjax.previousData[ key ] );
+            });
+
+            _fnAddRows( dtSettings, initRows, initKeys );
+
+            _api.draw();
+        }
+
+        // Highlight the created/updated rows as they get drawn
+        var _drawCallback = function ( e, ctx ) {
+            if ( ctx === dtSettings )
+                _fnDrawHighlights( dtSettings );
+        };
+
+        if ( dtSettings.liveAjax.highlight !== false ) {
+            $( dtSettings.nTable ).addClass( 'liveAjax-' + dtSettings.liveAjax.highlight );
+
+            _api.on( 'draw.dt', _drawCallback );
+        }
+
         // Initialize the updates - Starting timeout that calls timeout, etc
         _initUpdates(dtSettings);
 
+        // Watch for the page being hidden and the user going idle
+        _initActivityMonitor(dtSettings);
+
+        // Watch for the user interacting with the table
+        _initInteractionMonitor(dtSettings);
+
+        // Show what changed since the snapshot, otherwise the JSON of the initial load is the snapshot
+        if ( initJson !== undefined )
+            dtSettings.liveAjax.processJson( initJson );
+        else
+            _fnSaveSnapshot( dtSettings );
+
         // Function to check if the table being destroyed is the correct table ID
         var _destroyCallback = function ( e, ctx ) {
             // Due to a bug of "bubbling" effects, make sure its the correct table being destroyed.
             if ( $( _api.table().node() ).attr('id') === ctx.nTable.id ){
+                // Reject the reloads still waiting on their response
+                $.each( dtSettings.liveAjax.reloads, function ( i, reload ) {
+                    reload.reject( new LiveAjaxError( 'destroyed', 'The table was destroyed before the response was handled' ) );
+                } );
+
+                dtSettings.liveAjax.reloads = [];
+
                 // Abort the current XHR Event
                 _abortXhr( dtSettings );
 
+                // Close the push channel
+                _closePush( dtSettings );
+
+                // Hand the polling over to the other tabs, and the other tables sharing the source
+                _leaveTabs( dtSettings );
+                _fnSourceLeave( dtSettings );
+
+                // Stop watching the page visibility and user input
+                _stopActivityMonitor( dtSettings );
+
+                // Stop highlighting rows
+                _api.off( 'draw.dt', _drawCallback );
+
+                // Stop the diff worker
+                _fnStopDiffWorker( dtSettings );
+
+                // Stop changing the rows (if a change set was being worked through), and removing the rows
+                // fading out
+                dtSettings.liveAjax.rendering = false;
+
+                _fnStopRemovals( dtSettings );
+
+                // Remove the banner of the held changes
+                if ( dtSettings.liveAjax.banner !== null )
+                    dtSettings.liveAjax.banner.remove();
+
                 // Kill the timeout loop
                 clearTimeout( dtSettings.liveAjax.updateLoop );
 
+                // Don't persist the JSON of the last update after all
+                _fnCancelSnapshot( dtSettings );
+
                 // Remove this function from the destroy.dt for this table
                 _api.off( 'destroy.dt', _destroyCallback );
             }
@@ -900,32 +5712,43 @@
         _api.on('destroy.dt', _destroyCallback );
     });
 
+    // The error the Promises of the API methods are rejected with, for instanceof checks
+    $.fn.dataTable.LiveAjaxError = LiveAjaxError;
+
     // LiveAjax API Methods
 
     /**
      * Start liveAjax XHR Request Polling
      *
-     * @description: Start the XHR request loop (If its not already initiated)
-     * @example: table.liveAjax.initiate();
-     * @return  DT API Instance
+     * @description: Start the XHR request loop, or open the push channel (If its not already initiated)
+     * @example: table.liveAjax.initiate().then( function ( state ) { ... } );
+     * @return  Promise resolved with the connection state once the updates started
      */
     $.fn.dataTable.Api.register( 'liveAjax.initiate()', function () {
-        return this.iterator( 'table', function ( dtSettings ) {
-            _initUpdates( dtSettings );
+        var promises = [];
+
+        this.iterator( 'table', function ( dtSettings ) {
+            promises.push( _fnInitiate( dtSettings ) );
         } );
+
+        return _fnApiPromise( promises );
     } );
 
     /**
      * Abort Current XHR Request
      *
      * @description: Abort the current XHR Request
-     * @example: table.liveAjax.abort();
-     * @return  DT API Instance
+     * @example: table.liveAjax.abortXhr();
+     * @return  Promise resolved once the request ended, with true if there was one in progress
      */
     $.fn.dataTable.Api.register( 'liveAjax.abortXhr()', function () {
-        return this.iterator( 'table', function ( dtSettings ) {
-            _abortXhr( dtSettings );
+        var promises = [];
+
+        this.iterator( 'table', function ( dtSettings ) {
+            promises.push( _fnAbort( dtSettings ) );
         } );
+
+        return _fnApiPromise( promises );
     } );
 
     /**
@@ -943,6 +5766,15 @@
 
             // Clear the timeout
             _clearTimeout( dtSettings );
+
+            // Close the push channel, if one is open
+            _closePush( dtSettings );
+
+            // Stop sharing the polling with the other tabs
+            _leaveTabs( dtSettings );
+
+            // Stop sharing the source with the other tables
+            _fnSourceLeave( dtSettings );
         } );
     } );
 
@@ -976,12 +5808,28 @@
      * Is Loop Paused
      *
      * @description: Return the boolean status of liveAjax.paused
+     * @param   {string}    reason  Only check if paused for this reason (manual, hidden or idle)
      * @example: table.liveAjax.isPaused();
+     * @example: table.liveAjax.isPaused( 'manual' );
+     * @return boolean
+     */
+    $.fn.dataTable.Api.register( 'liveAjax.isPaused()', function ( reason ) {
+        return this.iterator( 'table', function ( dtSettings ) {
+            return _isPaused( dtSettings, reason );
+        }, false )[0];
+    } );
+
+    /**
+     * Is Stale
+     *
+     * @description: Return if the table shows stale data; the snapshot it was hydrated with
+     *               (liveAjax.persist), or the last update before the browser went offline
+     * @example: table.liveAjax.isStale();
      * @return boolean
      */
-    $.fn.dataTable.Api.register( 'liveAjax.isPaused()', function () {
+    $.fn.dataTable.Api.register( 'liveAjax.isStale()', function () {
         return this.iterator( 'table', function ( dtSettings ) {
-            return dtSettings.liveAjax.paused;
+            return dtSettings.liveAjax.stale;
         }, false )[0];
     } );
 
@@ -1014,19 +5862,109 @@
     } );
 
     /**
-     * Reload/Update Table
+     * Connection State
+     *
+     * @description: Return the state of the liveAjax connection; 'polling' when polling the AJAX
+     *               source, 'following' when another tab (liveAjax.shareTabs) or table (liveAjax.source)
+     *               polls it, otherwise the state of the push channel (connecting, open, reconnecting
+     *               or closed)
+     * @example: table.liveAjax.connectionState();
+     * @return string
+     */
+    $.fn.dataTable.Api.register( 'liveAjax.connectionState()', function () {
+        return this.iterator( 'table', function ( dtSettings ) {
+            return dtSettings.liveAjax.connection;
+        }, false )[0];
+    } );
+
+    /**
+     * Tab Role
+     *
+     * @description: Return the role of this tab in polling the AJAX source shared with the other
+     *               tabs (liveAjax.shareTabs); 'leader' if it polls for all of them, 'follower' if
+     *               another tab does, or null if the polling isn't shared
+     * @example: table.liveAjax.tabRole();
+     * @return string|null
+     */
+    $.fn.dataTable.Api.register( 'liveAjax.tabRole()', function () {
+        return this.iterator( 'table', function ( dtSettings ) {
+            return dtSettings.liveAjax.tabs === null ? null : dtSettings.liveAjax.tabs.role;
+        }, false )[0];
+    } );
+
+    /**
+     * Pending Changes
      *
-     * @description: Check for updates and reload the table
-     * @param   {function}  callback        Callback to fire on reload
-     * @param   (boolean}   _resetPaging     Reset paging via draw()
-     * @param   {boolean}   force           Force update, even if updates are paused
-     * @example: Reload table forcefully: table.liveAjax.reload(null, false, true );
+     * @description: Return the number of rows the changes held by liveAjax.manualApply would create,
+     *               update and delete (and the total), or null if no changes are held
+     * @example: table.liveAjax.pending();
+     * @return object|null
+     */
+    $.fn.dataTable.Api.register( 'liveAjax.pending()', function () {
+        return this.iterator( 'table', function ( dtSettings ) {
+            return dtSettings.liveAjax.pendingChange !== null
+                ? $.extend( {}, dtSettings.liveAjax.pendingChange.counts )
+                : null;
+        }, false )[0];
+    } );
+
+    /**
+     * Apply Pending Changes
+     *
+     * @description: Apply the changes held by liveAjax.manualApply
+     * @example: table.liveAjax.applyPending();
+     * @return  DT API Instance
+     */
+    $.fn.dataTable.Api.register( 'liveAjax.applyPending()', function () {
+        return this.iterator( 'table', function ( dtSettings ) {
+            dtSettings.liveAjax.applyPending();
+        } );
+    } );
+
+    /**
+     * Discard Pending Changes
+     *
+     * @description: Drop the changes held by liveAjax.manualApply. The next updates are compared
+     *               with the JSON they came from, so they aren't held again
+     * @example: table.liveAjax.discardPending();
      * @return  DT API Instance
      */
-    $.fn.dataTable.Api.register( 'liveAjax.reload()', function ( overridePause, doneCallback, failCallback, alwaysCallback ) {
+    $.fn.dataTable.Api.register( 'liveAjax.discardPending()', function () {
         return this.iterator( 'table', function ( dtSettings ) {
-            dtSettings.liveAjax.initReload( overridePause, doneCallback, failCallback, alwaysCallback );
+            _fnDiscardPending( dtSettings );
+        } );
+    } );
+
+    /**
+     * Reload/Update Table
+     *
+     * @description: Check for updates and update the table. The old form, with the callbacks for
+     *               jqXHR.done(), jqXHR.fail() and jqXHR.always(), is still supported:
+     *               reload( force, doneCallback, failCallback, alwaysCallback )
+     * @param   {object}    options         force (update even if the updates are paused), resetPaging
+     *                                      (reset the paging when redrawing, rather than liveAjax.resetPaging)
+     * @example: Reload table forcefully: table.liveAjax.reload( { force: true } );
+     * @return  Promise resolved with { changed, updates, json } once the response was handled, or rejected
+     *          with a LiveAjaxError
+     */
+    $.fn.dataTable.Api.register( 'liveAjax.reload()', function ( options, doneCallback, failCallback, alwaysCallback ) {
+        var legacy = ! $.isPlainObject( options ),
+            promises = [],
+            promise;
+
+        this.iterator( 'table', function ( dtSettings ) {
+            promises.push( legacy
+                ? _fnReload( dtSettings, { force: options === true }, { done: doneCallback, fail: failCallback, always: alwaysCallback } )
+                : _fnReload( dtSettings, options, {} ) );
         } );
+
+        promise = _fnApiPromise( promises );
+
+        // The old form reports through the callbacks, so there's no need to catch the rejections
+        if ( legacy )
+            promise['catch']( $.noop );
+
+        return promise;
     } );
 
     /**
@@ -1039,15 +5977,26 @@
      *                                  setTimeout, and initiate a new one)
      * @example:    Set to value of #int: table.liveAjax.interval( $('#int' ).val() );
      * @example:    Reset to init value:  table.liveAjax.setInterval( null );
-     * @return      DT API Instance
+     * @return      Promise resolved with the new interval
      */
     $.fn.dataTable.Api.register( 'liveAjax.setInterval()', function ( int, immediate ) {
-        return this.iterator( 'table', function ( dtSettings ) {
+        var promises = [];
+
+        this.iterator( 'table', function ( dtSettings ) {
             var newInt = int || dtSettings.liveAjax.initInterval;
 
             // If were set to implement this timeout immediately, then clear
             // the existing timeout, and initiate a new one
-            if ( immediate === true ) {
+            if ( immediate === true && ( dtSettings.liveAjax.tabs !== null || _fnSourceJoined( dtSettings ) ) ) {
+                // Only the tab polling for the others, and the table polling the shared source, have a timeout to restart
+                if ( _fnSourcePoller( dtSettings ) === dtSettings && dtSettings.liveAjax.transport === 'poll'
+                        && ( dtSettings.liveAjax.tabs === null || dtSettings.liveAjax.tabs.role === 'leader' ) ) {
+                    _abortXhr( dtSettings );
+                    clearTimeout( dtSettings.liveAjax.updateLoop );
+                    _initLoop( dtSettings );
+                }
+            }
+            else if ( immediate === true ) {
                 _abortXhr( dtSettings );
                 _clearTimeout( dtSettings );
                 _initUpdates( dtSettings );
@@ -1055,8 +6004,12 @@
 
             dtSettings.liveAjax.interval =  _minInterval > newInt ? _minInterval : newInt;
 
-            _fnCallbackFire( dtSettings, null, 'setInterval', [ dtSettings, dtSettings.liveAjax.interval], 'liveAjax' );
+            _fnCallbackFire( dtSettings, null, 'setInterval', [ dtSettings, dtSettings.liveAjax.interval, 'manual' ], 'liveAjax' );
+
+            promises.push( Promise.resolve( dtSettings.liveAjax.interval ) );
         } );
+
+        return _fnApiPromise( promises );
     } );
 
 })( window, document, jQuery );
\ No newline at end of file